@@ -22,7 +22,7 @@ async function createAdmin() {
     const admin = new User({
       username: 'admin',
       password: 'admin123',  // This will be hashed automatically
-      isAdmin: true
+      role: 'admin'
     });
 
     await admin.save();
@@ -31,6 +31,7 @@ async function createAdmin() {
     console.log('   Username: admin');
     console.log('   Password: admin123');
     console.log('\n⚠️  Please change the password after first login!');
+    console.log('   POST /api/auth/change-password with { currentPassword, newPassword }');
 
     process.exit(0);
   } catch (error) {
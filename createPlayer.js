@@ -22,7 +22,7 @@ async function createPlayer() {
     const player = new User({
       username: 'player1',
       password: 'player123',  // This will be hashed automatically
-      isAdmin: false
+      role: 'player'
     });
 
     await player.save();
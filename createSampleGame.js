@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const BingoGameSession = require('./models/BingoGameSession');
 const Counter = require('./models/Counter');
 const User = require('./models/User');
+const { rolesWithPermission } = require('./utils/permissions');
 
 async function createSampleGame() {
   try {
@@ -10,10 +11,10 @@ async function createSampleGame() {
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('✅ Connected to MongoDB');
 
-    // Find admin user
-    const admin = await User.findOne({ isAdmin: true });
+    // Find a staff user who may create games
+    const admin = await User.findOne({ role: { $in: rolesWithPermission('game:create') } });
     if (!admin) {
-      console.log('❌ No admin user found. Please create an admin first.');
+      console.log('❌ No staff user who can create games found. Please create an admin first.');
       process.exit(1);
     }
 
@@ -1,5 +1,26 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessions');
+const { hasPermission } = require('../utils/permissions');
+
+/**
+ * Verifies an access token and loads its user (shared by HTTP middleware and sockets)
+ * Throws if the token is invalid or expired, returns null if the user no
+ * longer exists or the token's session has ended
+ * @returns {Object|null} - { user, sessionId }
+ */
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(decoded.userId);
+  if (!user || !(await isSessionActive(decoded, user))) {
+    return null;
+  }
+  return { user, sessionId: decoded.sid };
+};
+
+// Expired access tokens get their own message so clients know to refresh
+const tokenErrorMessage = (error) =>
+  error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid authentication token';
 
 const auth = async (req, res, next) => {
   try {
@@ -8,26 +29,32 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    const authenticated = await authenticateToken(token);
     
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+    if (!authenticated) {
+      return res.status(401).json({ error: 'Session has ended, please log in again' });
     }
 
-    req.user = user;
-    req.userId = user._id;
+    req.user = authenticated.user;
+    req.userId = authenticated.user._id;
+    req.sessionId = authenticated.sessionId;
     next();
   } catch (error) {
-    res.status(401).json({ error: 'Invalid authentication token' });
+    res.status(401).json({ error: tokenErrorMessage(error) });
   }
 };
 
-const adminAuth = async (req, res, next) => {
+/**
+ * Middleware factory: authenticates, then requires the user's role to grant
+ * every one of the permissions (see utils/permissions.js)
+ * e.g. router.post('/players/:playerId/add-wallet', requirePermission('wallet:adjust'), ...)
+ */
+const requirePermission = (...permissions) => async (req, res, next) => {
   try {
     await auth(req, res, () => {
-      if (!req.user.isAdmin && !req.user.isSuperAdmin) {
-        return res.status(403).json({ error: 'Admin access required' });
+      const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+      if (missing.length > 0) {
+        return res.status(403).json({ error: `Missing permission: ${missing.join(', ')}` });
       }
       next();
     });
@@ -36,17 +63,29 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
-const superAdminAuth = async (req, res, next) => {
+/**
+ * Socket.io handshake middleware, checks the same JWT as the HTTP API
+ * Clients send it as auth.token (or an Authorization header), sets socket.user
+ */
+const socketAuth = async (socket, next) => {
   try {
-    await auth(req, res, () => {
-      if (!req.user.isSuperAdmin) {
-        return res.status(403).json({ error: 'Super admin access required' });
-      }
-      next();
-    });
+    const token = socket.handshake.auth?.token ||
+      socket.handshake.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    const authenticated = await authenticateToken(token);
+
+    if (!authenticated) {
+      return next(new Error('Session has ended, please log in again'));
+    }
+
+    socket.user = authenticated.user;
+    next();
   } catch (error) {
-    res.status(401).json({ error: 'Invalid authentication token' });
+    next(new Error(tokenErrorMessage(error)));
   }
 };
 
-module.exports = { auth, adminAuth, superAdminAuth };
+module.exports = { auth, requirePermission, authenticateToken, socketAuth };
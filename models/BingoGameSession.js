@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 const { generateDeterministicBingoCard } = require('../utils/gridGenerator');
+const cardDeck = require('../utils/cardDeck');
+const { BUILT_IN_PATTERNS, findMatchingPattern } = require('../utils/winningPatterns');
+const provablyFair = require('../utils/provablyFair');
 const { Schema } = mongoose;
 
 // Schema for individual BINGO card
@@ -69,9 +72,9 @@ const winnerSchema = new Schema({
     type: Number,
     required: true
   },
+  // Built-in sub-pattern (horizontal, vertical, ...) or the custom pattern's name
   pattern: {
     type: String,
-    enum: ['horizontal', 'vertical', 'diagonal', 'four-corners', 'full-house'],
     required: true
   },
   completedAt: {
@@ -85,9 +88,50 @@ const winnerSchema = new Schema({
   markedCells: {
     type: [[Boolean]],
     required: true
-  }
+  },
+  // Index of the prize stage this win was for (staged games only)
+  stage: Number
 });
 
+// Schema for a prize stage (e.g. line -> two lines -> full house)
+const prizeStageSchema = new Schema({
+  // Built-in pattern name, or the name of a saved custom WinningPattern
+  pattern: {
+    type: String,
+    required: true
+  },
+  customPatternMasks: {
+    type: [[[Boolean]]],
+    default: undefined
+  },
+  // Share of the prize pool (pot minus admin profit) paid for this stage
+  sharePercentage: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 100
+  },
+  settledAt: Date
+}, { _id: false });
+
+// Schema for a player's false BINGO claims (manual marking mode)
+const claimPenaltySchema = new Schema({
+  player: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  falseClaims: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: Date,
+  disqualified: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
 // Main BINGO Game Session Schema
 const bingoGameSessionSchema = new Schema({
   gameId: {
@@ -114,15 +158,30 @@ const bingoGameSessionSchema = new Schema({
   },
   status: {
     type: String,
-    enum: ['preparing', 'ready', 'active', 'paused', 'completed'],
+    enum: ['preparing', 'ready', 'active', 'paused', 'completed', 'cancelled'],
     default: 'preparing'
   },
+  // Built-in pattern name, or the name of a saved custom WinningPattern
   winningPattern: {
     type: String,
-    enum: ['any-line', 'horizontal', 'vertical', 'diagonal', 'four-corners', 'full-house'],
     default: 'any-line',
     required: true
   },
+  // Snapshot of the custom pattern's masks taken at creation (empty for built-ins)
+  customPatternMasks: {
+    type: [[[Boolean]]],
+    default: undefined
+  },
+  // Optional staged prizes; when set, calling continues until the last stage is won
+  prizeStages: {
+    type: [prizeStageSchema],
+    default: []
+  },
+  currentStage: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   autoCallInterval: {
     type: Number,
     default: 3000, // milliseconds between number calls
@@ -135,12 +194,89 @@ const bingoGameSessionSchema = new Schema({
     default: 'auto',
     required: true
   },
+  // How player BINGO claims are judged in manual marking mode
+  claimRules: {
+    // What a false claim costs: a warning, a short claim lockout, or disqualification
+    falseClaimPenalty: {
+      type: String,
+      enum: ['warning', 'lockout', 'disqualify'],
+      default: 'warning'
+    },
+    lockoutSeconds: {
+      type: Number,
+      default: 30,
+      min: 5,
+      max: 600
+    },
+    // A claim is late when the card already had bingo before the latest number was called
+    lateClaimRule: {
+      type: String,
+      enum: ['accept', 'reject'],
+      default: 'accept'
+    }
+  },
+  claimPenalties: [claimPenaltySchema],
   gameCost: {
     type: Number,
     default: 2,
     min: 1,
     required: true
   },
+  // Credits actually taken from the admin for this game (super admins pay nothing)
+  gameCostPaid: Number,
+  // Minutes a game may wait in 'ready' before it is cancelled automatically
+  readyTimeoutMinutes: {
+    type: Number,
+    default: 60,
+    min: 5,
+    max: 1440
+  },
+  readyExpiresAt: Date,
+  // When and how the game may start (applied by the start scheduler in routes/bingo.js)
+  startPolicy: {
+    // Players needed to start, a full table when not set
+    minPlayers: {
+      type: Number,
+      min: 2
+    },
+    // Scheduled start time, the game starts then (or as soon after as it can)
+    startAt: Date,
+    // Start on its own once enough players have joined and everyone has a card
+    autoStart: {
+      type: Boolean,
+      default: false
+    },
+    // Countdown broadcast to the room before an automatic start
+    countdownSeconds: {
+      type: Number,
+      default: 10,
+      min: 0,
+      max: 300
+    }
+  },
+  // When the running start countdown ends
+  autoStartAt: Date,
+  // Progressive jackpot this game feeds (settings copied from the pool at creation)
+  jackpot: {
+    pool: {
+      type: Schema.Types.ObjectId,
+      ref: 'Jackpot'
+    },
+    contributionPercentage: Number,
+    maxCalls: Number,
+    // What this game put into the pool and, if it hit the jackpot, what it paid out
+    contributed: Number,
+    won: Number
+  },
+  // Entry fees held for the game, moved only by the ledger's game_escrow postings
+  escrow: {
+    balance: {
+      type: Number,
+      default: 0
+    },
+    // The prize pot: the balance when the first prize was settled
+    pot: Number
+  },
   profitPercentage: {
     type: Number,
     default: 10,
@@ -153,6 +289,13 @@ const bingoGameSessionSchema = new Schema({
     default: 10,
     min: 0
   },
+  // How many cards one player may buy (each card costs playerEntryFee)
+  maxCardsPerPlayer: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 6
+  },
   players: [{
     type: Schema.Types.ObjectId,
     ref: 'User'
@@ -162,6 +305,22 @@ const bingoGameSessionSchema = new Schema({
   availableCards: [{
     type: Number
   }],
+  // Number of cards in the deck players pick from
+  deckSize: {
+    type: Number,
+    default: cardDeck.DEFAULT_DECK_SIZE,
+    min: 1,
+    max: cardDeck.MAX_DECK_SIZE
+  },
+  // Every card is re-derivable from the deck seed (see utils/cardDeck.js)
+  deck: {
+    seed: String,
+    // Card numbers re-rolled to avoid a duplicate grid => attempt used
+    rerolls: {
+      type: Map,
+      of: Number
+    }
+  },
   // Map of card assignments {cardNumber: playerId}
   cardAssignments: {
     type: Map,
@@ -179,8 +338,30 @@ const bingoGameSessionSchema = new Schema({
     ref: 'User',
     required: true
   },
+  // Provably fair draw: the seed's hash is published at start, the seed itself at completion
+  fairness: {
+    algorithm: String,
+    commitment: String,
+    // Kept secret while the game runs, load it explicitly with .select('+fairness.serverSeed')
+    serverSeed: {
+      type: String,
+      select: false
+    },
+    revealedSeed: String
+  },
+  // When the auto-caller is due to call the next number (used to resume after a restart)
+  nextCallAt: Date,
   startedAt: Date,
-  completedAt: Date
+  // When the game was last paused (cleared on resume)
+  pausedAt: Date,
+  completedAt: Date,
+  // Set once the prize has been paid out (guards against paying a game twice)
+  settledAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String,
+  // Set once entry fees have been refunded (guards against refunding a game twice)
+  refundedAt: Date,
+  gameCostRefunded: Number
 }, {
   timestamps: true
 });
@@ -235,29 +416,48 @@ const bingoGameSessionSchema = new Schema({
 //   return grid;
 // };
 /**
- * Generates a deterministic BINGO card for a given card number
+ * Generates the BINGO card for a given card number from the game's deck
+ * (games prepared before decks existed use the legacy generator)
  */
 bingoGameSessionSchema.methods.generateBingoCard = function(cardNumber) {
+  if (this.deck && this.deck.seed) {
+    return cardDeck.deriveCard(this.deck.seed, cardNumber, this.deck.rerolls);
+  }
   return generateDeterministicBingoCard(cardNumber);
 };
 
-bingoGameSessionSchema.methods.addPlayerCard = function(playerId, cardNumber) {
+/**
+ * Builds the card entry (grid + initial marks) for a player's card number
+ */
+bingoGameSessionSchema.methods.buildPlayerCard = function(playerId, cardNumber) {
   const grid = this.generateBingoCard(cardNumber);
   const marked = Array(5).fill(null).map(() => Array(5).fill(false));
   marked[2][2] = true; // FREE space always marked
 
-  this.bingoCards.push({
+  return {
     player: playerId,
     cardNumber: cardNumber,
     grid: grid,
     marked: marked
-  });
+  };
+};
+
+bingoGameSessionSchema.methods.addPlayerCard = function(playerId, cardNumber) {
+  this.bingoCards.push(this.buildPlayerCard(playerId, cardNumber));
 
   // Mark card as taken
   this.availableCards = this.availableCards.filter(c => c !== cardNumber);
   this.cardAssignments.set(cardNumber.toString(), playerId);
 };
-bingoGameSessionSchema.methods.initializeAvailableCards = function(totalCards = 100) {
+/**
+ * Builds a fresh deck of unique cards and makes every card available
+ */
+bingoGameSessionSchema.methods.initializeAvailableCards = function(totalCards = this.deckSize) {
+  const seed = cardDeck.generateDeckSeed();
+  const { rerolls } = cardDeck.buildDeck(seed, totalCards);
+
+  this.deckSize = totalCards;
+  this.deck = { seed, rerolls };
   this.availableCards = [];
   for (let i = 1; i <= totalCards; i++) {
     this.availableCards.push(i);
@@ -266,10 +466,139 @@ bingoGameSessionSchema.methods.initializeAvailableCards = function(totalCards =
 bingoGameSessionSchema.methods.isCardAvailable = function(cardNumber) {
   return this.availableCards.includes(cardNumber);
 };
+
+/**
+ * Players needed before the game can start (a full table unless the start policy says otherwise)
+ */
+bingoGameSessionSchema.methods.getMinPlayers = function() {
+  return (this.startPolicy && this.startPolicy.minPlayers) || this.maxPlayers;
+};
+
+/**
+ * Returns why the game can't start yet, or null if it can
+ */
+bingoGameSessionSchema.methods.getStartBlock = function() {
+  const minPlayers = this.getMinPlayers();
+  if (this.players.length < minPlayers) {
+    return `At least ${minPlayers} players must join to start. ${this.players.length}/${this.maxPlayers} players joined.`;
+  }
+
+  const playersWithCards = this.bingoCards.map(card => card.player.toString());
+  const playersWithoutCards = this.players.filter(
+    playerId => !playersWithCards.includes(playerId.toString())
+  );
+  if (playersWithoutCards.length > 0) {
+    return `Cannot start: ${playersWithoutCards.length} player(s) have not selected their card yet. All players must select a card before starting.`;
+  }
+
+  return null;
+};
+
+// ============= ATOMIC PLAYER OPERATIONS =============
+
+/**
+ * Atomically adds a player to a ready game if there is still a free seat.
+ * Returns the updated game, or null if the game is full, not ready or the
+ * player has already joined (so two simultaneous joins can't overfill it).
+ * Run it in the transaction that charges the entry fee (session).
+ */
+bingoGameSessionSchema.statics.reserveSeat = function(gameId, playerId, session) {
+  return this.findOneAndUpdate(
+    {
+      gameId,
+      status: 'ready',
+      players: { $ne: playerId },
+      $expr: { $lt: [{ $size: '$players' }, '$maxPlayers'] }
+    },
+    { $push: { players: playerId } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Atomically assigns a card to a player. The card is only taken if it is still
+ * in availableCards and the player still holds exactly `heldCards` cards, so
+ * two players can never end up with the same card number and one player's
+ * simultaneous requests can't buy more cards than they paid for.
+ * Returns the updated game, or null if the player lost the race.
+ */
+bingoGameSessionSchema.statics.claimCard = function(game, playerId, cardNumber, heldCards, session) {
+  const playerObjectId = new mongoose.Types.ObjectId(playerId);
+
+  return this.findOneAndUpdate(
+    {
+      _id: game._id,
+      status: 'ready',
+      players: playerId,
+      availableCards: cardNumber,
+      $expr: {
+        $eq: [
+          { $size: { $filter: { input: '$bingoCards', cond: { $eq: ['$$this.player', playerObjectId] } } } },
+          heldCards
+        ]
+      }
+    },
+    {
+      $pull: { availableCards: cardNumber },
+      $push: { bingoCards: game.buildPlayerCard(playerId, cardNumber) },
+      $set: { [`cardAssignments.${cardNumber}`]: playerId }
+    },
+    { new: true, session }
+  );
+};
+
+/**
+ * Atomically removes a player who leaves a 'ready' game, putting their cards
+ * back into availableCards. Only succeeds while the player still holds exactly
+ * the given cards, so a card bought at the same moment can't be lost.
+ * Returns the updated game, or null if the player lost the race.
+ */
+bingoGameSessionSchema.statics.releasePlayer = function(game, playerId, cardNumbers, session) {
+  const playerObjectId = new mongoose.Types.ObjectId(playerId);
+  const update = {
+    $pull: { players: playerObjectId, bingoCards: { player: playerObjectId } },
+    $push: { availableCards: { $each: cardNumbers, $sort: 1 } }
+  };
+  if (cardNumbers.length > 0) {
+    update.$unset = Object.fromEntries(cardNumbers.map(cardNumber => [`cardAssignments.${cardNumber}`, '']));
+  }
+
+  return this.findOneAndUpdate(
+    {
+      _id: game._id,
+      status: 'ready',
+      players: playerObjectId,
+      $expr: {
+        $eq: [
+          { $size: { $filter: { input: '$bingoCards', cond: { $eq: ['$$this.player', playerObjectId] } } } },
+          cardNumbers.length
+        ]
+      }
+    },
+    update,
+    { new: true, session }
+  );
+};
 // ============= NUMBER CALLING LOGIC =============
 
+const NUMBER_POOL = Array.from({ length: 75 }, (_, i) => i + 1);
+
+/**
+ * Picks the secret draw seed and publishes its commitment (called at game start)
+ */
+bingoGameSessionSchema.methods.commitDrawSeed = function() {
+  const serverSeed = provablyFair.generateServerSeed();
+  this.fairness = {
+    algorithm: provablyFair.ALGORITHM,
+    commitment: provablyFair.hashSeed(serverSeed),
+    serverSeed: serverSeed
+  };
+};
+
 /**
- * Calls a random number from 1-75 that hasn't been called yet
+ * Calls a number from 1-75 that hasn't been called yet, derived from the
+ * committed seed and the call index (games started without a seed fall back
+ * to crypto.randomInt). The game must be loaded with '+fairness.serverSeed'.
  * Returns the called number or null if all numbers have been called
  */
 bingoGameSessionSchema.methods.callNumber = function() {
@@ -287,8 +616,11 @@ bingoGameSessionSchema.methods.callNumber = function() {
     return null; // All numbers called
   }
 
-  // Pick a random number from remaining
-  const randomIndex = crypto.randomInt(0, remainingNumbers.length);
+  // Pick the next number from remaining (kept in ascending order for replays)
+  const serverSeed = this.fairness && this.fairness.serverSeed;
+  const randomIndex = serverSeed
+    ? provablyFair.drawIndex(serverSeed, calledNumbersList.length, remainingNumbers.length)
+    : crypto.randomInt(0, remainingNumbers.length);
   const calledNumber = remainingNumbers[randomIndex];
 
   // Add to called numbers
@@ -323,202 +655,226 @@ bingoGameSessionSchema.methods.markNumberOnAllCards = function(number) {
 };
 
 /**
- * Marks a specific number on a specific player's card (for manual mode)
- * Returns true if the number was found and marked, false otherwise
+ * Marks a specific number on every card a player holds (for manual mode)
+ * Returns true if the number was found and marked on any card, false otherwise
  */
 bingoGameSessionSchema.methods.markNumberOnPlayerCard = function(playerId, number) {
-  const playerCard = this.getPlayerCard(playerId);
-  if (!playerCard) {
-    return false;
-  }
-
   let marked = false;
-  for (let col = 0; col < 5; col++) {
-    for (let row = 0; row < 5; row++) {
-      if (playerCard.grid[col][row] === number) {
-        playerCard.marked[col][row] = true;
-        marked = true;
+  this.getPlayerCards(playerId).forEach(playerCard => {
+    for (let col = 0; col < 5; col++) {
+      for (let row = 0; row < 5; row++) {
+        if (playerCard.grid[col][row] === number) {
+          playerCard.marked[col][row] = true;
+          marked = true;
+        }
       }
     }
-  }
+  });
   return marked;
 };
 
 // ============= WINNING PATTERN DETECTION =============
 
 /**
- * Checks if a card has a horizontal line (any row)
+ * Gets the masks this game's winning pattern accepts, grouped by the
+ * sub-pattern name recorded on a winner
  */
-function hasHorizontalLine(marked) {
-  for (let row = 0; row < 5; row++) {
-    let complete = true;
-    for (let col = 0; col < 5; col++) {
-      if (!marked[col][row]) {
-        complete = false;
-        break;
-      }
-    }
-    if (complete) return true;
+bingoGameSessionSchema.methods.getPatternSet = function() {
+  const source = this.isStaged() ? this.getCurrentStage() : this;
+  const patternName = this.isStaged() ? source.pattern : source.winningPattern;
+
+  if (source.customPatternMasks && source.customPatternMasks.length > 0) {
+    return [{ name: patternName, masks: source.customPatternMasks }];
   }
-  return false;
-}
+  return BUILT_IN_PATTERNS[patternName] || [];
+};
+
+// ============= PRIZE STAGES =============
+
+bingoGameSessionSchema.methods.isStaged = function() {
+  return Array.isArray(this.prizeStages) && this.prizeStages.length > 0;
+};
+
+bingoGameSessionSchema.methods.getCurrentStage = function() {
+  return this.isStaged() ? this.prizeStages[this.currentStage] : null;
+};
 
 /**
- * Checks if a card has a vertical line (any column)
+ * True when the stage being played is the last one (always true for single-prize games)
  */
-function hasVerticalLine(marked) {
-  for (let col = 0; col < 5; col++) {
-    let complete = true;
-    for (let row = 0; row < 5; row++) {
-      if (!marked[col][row]) {
-        complete = false;
-        break;
-      }
-    }
-    if (complete) return true;
-  }
-  return false;
-}
+bingoGameSessionSchema.methods.isFinalStage = function() {
+  return !this.isStaged() || this.currentStage >= this.prizeStages.length - 1;
+};
 
 /**
- * Checks if a card has a diagonal line
+ * Builds the winner entry for a card that completed a pattern
  */
-function hasDiagonalLine(marked) {
-  // Diagonal 1: top-left to bottom-right
-  let diagonal1 = true;
-  for (let i = 0; i < 5; i++) {
-    if (!marked[i][i]) {
-      diagonal1 = false;
-      break;
-    }
-  }
-  if (diagonal1) return true;
-
-  // Diagonal 2: top-right to bottom-left
-  let diagonal2 = true;
-  for (let i = 0; i < 5; i++) {
-    if (!marked[4 - i][i]) {
-      diagonal2 = false;
-      break;
-    }
-  }
-  return diagonal2;
-}
+bingoGameSessionSchema.methods.buildWinner = function(card, pattern) {
+  return {
+    player: card.player,
+    cardNumber: card.cardNumber,
+    pattern: pattern,
+    completedAt: new Date(),
+    winningCard: card.grid,
+    markedCells: card.marked,
+    stage: this.isStaged() ? this.currentStage : undefined
+  };
+};
 
 /**
- * Checks if a card has all four corners marked
+ * Checks all cards for winning patterns based on game's winning pattern setting
+ * Returns array of winners. Manual marking games are only won by a player's
+ * claim (see verifyClaim), so this finds nobody for them.
  */
-function hasFourCorners(marked) {
-  return marked[0][0] && marked[4][0] && marked[0][4] && marked[4][4];
-}
+bingoGameSessionSchema.methods.checkForWinners = function() {
+  if (this.markingMode === 'manual') {
+    return [];
+  }
+
+  const newWinners = [];
+  const stage = this.isStaged() ? this.currentStage : undefined;
+  // Every card is checked; in staged games a card can win every stage, but each stage only once
+  const existingWinningCards = this.winners
+    .filter(w => w.stage === stage)
+    .map(w => w.cardNumber);
+  const patternSet = this.getPatternSet();
+
+  this.bingoCards.forEach(card => {
+    // Skip if this card already won
+    if (existingWinningCards.includes(card.cardNumber)) {
+      return;
+    }
+
+    const pattern = findMatchingPattern(card.marked, patternSet);
+
+    if (pattern) {
+      newWinners.push(this.buildWinner(card, pattern));
+    }
+  });
+
+  return newWinners;
+};
+
+// ============= PLAYER CLAIMS (MANUAL MODE) =============
 
 /**
- * Checks if a card has full house (all spaces marked)
+ * Verifies a claim for one card against the called numbers and its marks
+ * Returns { valid, reason } for a false claim, or { valid, pattern, late, card }
  */
-function hasFullHouse(marked) {
+bingoGameSessionSchema.methods.verifyCardClaim = function(card) {
+  const stage = this.isStaged() ? this.currentStage : undefined;
+  if (this.winners.some(w => w.cardNumber === card.cardNumber && w.stage === stage)) {
+    return { valid: false, reason: `Card ${card.cardNumber} has already won this prize` };
+  }
+
+  // Every mark (except the FREE space) has to be on a number that was called
+  const calledNumbersList = this.calledNumbers.map(cn => cn.number);
   for (let col = 0; col < 5; col++) {
     for (let row = 0; row < 5; row++) {
-      if (!marked[col][row]) {
-        return false;
+      const number = card.grid[col][row];
+      if (card.marked[col][row] && number !== 0 && !calledNumbersList.includes(number)) {
+        return { valid: false, reason: `Card ${card.cardNumber} has marks on numbers that were not called` };
       }
     }
   }
-  return true;
-}
+
+  const patternSet = this.getPatternSet();
+  const pattern = findMatchingPattern(card.marked, patternSet);
+  if (!pattern) {
+    return { valid: false, reason: `Card ${card.cardNumber} does not have the winning pattern` };
+  }
+
+  // Late if the pattern was already complete before the latest number was called
+  const markedBeforeLatest = card.marked.map((column, col) =>
+    column.map((isMarked, row) => isMarked && card.grid[col][row] !== this.currentNumber)
+  );
+  const late = findMatchingPattern(markedBeforeLatest, patternSet) !== null;
+
+  return { valid: true, pattern, late, card };
+};
 
 /**
- * Checks all cards for winning patterns based on game's winning pattern setting
- * Returns array of winners
+ * Verifies a player's BINGO claim. With a cardNumber only that card is
+ * checked, otherwise the claim holds if any of the player's cards has BINGO.
+ * Returns the result for the winning card, or the first card's failure
  */
-bingoGameSessionSchema.methods.checkForWinners = function() {
-  const newWinners = [];
-  const existingWinnerIds = this.winners.map(w => w.player.toString());
+bingoGameSessionSchema.methods.verifyClaim = function(playerId, cardNumber) {
+  const cards = cardNumber !== undefined
+    ? this.getPlayerCards(playerId).filter(card => card.cardNumber === cardNumber)
+    : this.getPlayerCards(playerId);
 
-  this.bingoCards.forEach(card => {
-    // Skip if player already won
-    if (existingWinnerIds.includes(card.player.toString())) {
-      return;
-    }
-
-    let isWinner = false;
-    let pattern = null;
-
-    const marked = card.marked;
-
-    // Check based on game's winning pattern
-    switch (this.winningPattern) {
-      case 'any-line':
-        if (hasHorizontalLine(marked)) {
-          isWinner = true;
-          pattern = 'horizontal';
-        } else if (hasVerticalLine(marked)) {
-          isWinner = true;
-          pattern = 'vertical';
-        } else if (hasDiagonalLine(marked)) {
-          isWinner = true;
-          pattern = 'diagonal';
-        }
-        break;
+  if (cards.length === 0) {
+    return { valid: false, reason: cardNumber !== undefined ? 'That card is not yours' : 'You do not have a card' };
+  }
 
-      case 'horizontal':
-        if (hasHorizontalLine(marked)) {
-          isWinner = true;
-          pattern = 'horizontal';
-        }
-        break;
+  const results = cards.map(card => this.verifyCardClaim(card));
+  return results.find(result => result.valid) || results[0];
+};
 
-      case 'vertical':
-        if (hasVerticalLine(marked)) {
-          isWinner = true;
-          pattern = 'vertical';
-        }
-        break;
+/**
+ * Gets a player's false-claim record (undefined if they never made one)
+ */
+bingoGameSessionSchema.methods.getClaimPenalty = function(playerId) {
+  return this.claimPenalties.find(p => p.player.equals(playerId));
+};
 
-      case 'diagonal':
-        if (hasDiagonalLine(marked)) {
-          isWinner = true;
-          pattern = 'diagonal';
-        }
-        break;
+/**
+ * Returns why a player may not claim right now, or null if they may
+ */
+bingoGameSessionSchema.methods.getClaimBlock = function(playerId) {
+  const penalty = this.getClaimPenalty(playerId);
+  if (!penalty) {
+    return null;
+  }
+  if (penalty.disqualified) {
+    return 'You have been disqualified from this game for a false claim';
+  }
+  if (penalty.lockedUntil && penalty.lockedUntil > new Date()) {
+    return `You cannot claim again until ${penalty.lockedUntil.toISOString()}`;
+  }
+  return null;
+};
 
-      case 'four-corners':
-        if (hasFourCorners(marked)) {
-          isWinner = true;
-          pattern = 'four-corners';
-        }
-        break;
+/**
+ * Applies the game's false-claim penalty to a player and returns their record
+ */
+bingoGameSessionSchema.methods.applyFalseClaimPenalty = function(playerId) {
+  let penalty = this.getClaimPenalty(playerId);
+  if (!penalty) {
+    this.claimPenalties.push({ player: playerId });
+    penalty = this.claimPenalties[this.claimPenalties.length - 1];
+  }
 
-      case 'full-house':
-        if (hasFullHouse(marked)) {
-          isWinner = true;
-          pattern = 'full-house';
-        }
-        break;
-    }
+  penalty.falseClaims += 1;
 
-    if (isWinner) {
-      newWinners.push({
-        player: card.player,
-        cardNumber: card.cardNumber,
-        pattern: pattern,
-        completedAt: new Date(),
-        winningCard: card.grid,
-        markedCells: card.marked
-      });
-    }
-  });
+  const rules = this.claimRules || {};
+  if (rules.falseClaimPenalty === 'lockout') {
+    penalty.lockedUntil = new Date(Date.now() + (rules.lockoutSeconds || 30) * 1000);
+  } else if (rules.falseClaimPenalty === 'disqualify') {
+    penalty.disqualified = true;
+  }
 
-  return newWinners;
+  return penalty;
 };
 
 // ============= HELPER METHODS =============
 
 /**
- * Gets player's card from the game
+ * Gets player's card from the game (their first card, or the given card number)
+ */
+bingoGameSessionSchema.methods.getPlayerCard = function(playerId, cardNumber) {
+  return this.bingoCards.find(card =>
+    card.player.equals(playerId) && (cardNumber === undefined || card.cardNumber === cardNumber)
+  );
+};
+
+/**
+ * Gets all cards a player holds
  */
-bingoGameSessionSchema.methods.getPlayerCard = function(playerId) {
-  return this.bingoCards.find(card => card.player.equals(playerId));
+bingoGameSessionSchema.methods.getPlayerCards = function(playerId) {
+  return this.bingoCards.filter(card => card.player.equals(playerId));
 };
+
 bingoGameSessionSchema.methods.getCardByNumber = function(cardNumber) {
   return this.bingoCards.find(card => card.cardNumber === cardNumber);
 };
@@ -527,23 +883,54 @@ bingoGameSessionSchema.methods.getCardByNumber = function(cardNumber) {
  * Gets game state for a specific player
  */
 bingoGameSessionSchema.methods.getPlayerGameState = function(playerId) {
-  const playerCard = this.getPlayerCard(playerId);
+  const playerCards = this.getPlayerCards(playerId);
+  const playerCard = playerCards[0];
 
   return {
     gameId: this.gameId,
     status: this.status,
     winningPattern: this.winningPattern,
+    prizeStages: this.prizeStages.map(stage => ({
+      pattern: stage.pattern,
+      sharePercentage: stage.sharePercentage,
+      completed: Boolean(stage.settledAt)
+    })),
+    currentStage: this.currentStage,
     maxPlayers: this.maxPlayers,
     currentPlayers: this.players.length,
+    maxCardsPerPlayer: this.maxCardsPerPlayer,
+    minPlayers: this.getMinPlayers(),
+    startAt: this.startPolicy ? this.startPolicy.startAt : undefined,
+    autoStartAt: this.autoStartAt,
+    deckSize: this.deckSize,
+    // Entry fees held for the prizes (fixed once the first prize is paid)
+    prizePot: this.escrow.pot !== undefined ? this.escrow.pot : this.escrow.balance,
     myCard: playerCard ? {
       cardNumber: playerCard.cardNumber,
       grid: playerCard.grid,
       marked: playerCard.marked
     } : null,
+    myCards: playerCards.map(card => ({
+      cardNumber: card.cardNumber,
+      grid: card.grid,
+      marked: card.marked
+    })),
     calledNumbers: this.calledNumbers.map(cn => cn.number),
     currentNumber: this.currentNumber,
     autoCallInterval: this.autoCallInterval,
     markingMode: this.markingMode,
+    claimRules: this.claimRules,
+    jackpot: this.jackpot && this.jackpot.pool ? {
+      contributionPercentage: this.jackpot.contributionPercentage,
+      maxCalls: this.jackpot.maxCalls,
+      won: this.jackpot.won
+    } : null,
+    fairness: this.fairness ? {
+      algorithm: this.fairness.algorithm,
+      commitment: this.fairness.commitment,
+      revealedSeed: this.fairness.revealedSeed
+    } : null,
+    myClaimPenalty: this.getClaimPenalty(playerId) || null,
     playerEntryFee: this.playerEntryFee,
     profitPercentage: this.profitPercentage,
     gameCost: this.gameCost,
@@ -553,6 +940,101 @@ bingoGameSessionSchema.methods.getPlayerGameState = function(playerId) {
   };
 };
 
+/**
+ * Replays the draw from the revealed seed so anyone can check it
+ * Returns null while the seed is still secret
+ */
+bingoGameSessionSchema.methods.verifyDraws = function() {
+  if (!this.fairness || !this.fairness.revealedSeed) {
+    return null;
+  }
+
+  return provablyFair.verifyDraws({
+    commitment: this.fairness.commitment,
+    seed: this.fairness.revealedSeed,
+    pool: NUMBER_POOL,
+    drawn: this.calledNumbers.map(cn => cn.number)
+  });
+};
+
+/**
+ * State sent to a player reconnecting over a socket: the calls they missed
+ * after the last call index they saw (1-based, 0 = none), their cards with
+ * the current marks, all winners so far and whether the game is paused
+ */
+bingoGameSessionSchema.methods.getResyncState = async function(playerId, lastCallIndex) {
+  await this.populate('winners.player', 'username');
+
+  const seen = Math.min(Math.max(parseInt(lastCallIndex, 10) || 0, 0), this.calledNumbers.length);
+
+  return {
+    gameId: this.gameId,
+    status: this.status,
+    paused: this.status === 'paused',
+    pausedAt: this.pausedAt,
+    lastCallIndex: this.calledNumbers.length,
+    missedCalls: this.calledNumbers.slice(seen).map((cn, i) => ({
+      index: seen + i + 1,
+      number: cn.number,
+      calledAt: cn.calledAt
+    })),
+    currentNumber: this.currentNumber,
+    currentStage: this.currentStage,
+    myCards: this.getPlayerCards(playerId).map(card => ({
+      cardNumber: card.cardNumber,
+      grid: card.grid,
+      marked: card.marked
+    })),
+    winners: this.winners.map(w => ({
+      player: {
+        _id: w.player._id,
+        username: w.player.username
+      },
+      cardNumber: w.cardNumber,
+      pattern: w.pattern,
+      completedAt: w.completedAt,
+      stage: w.stage
+    })),
+    gameCompleted: this.status === 'completed'
+  };
+};
+
+/**
+ * Re-derives every card dealt in this game from the deck seed and checks it
+ * against the grid the player played with (null for games without a deck seed)
+ */
+bingoGameSessionSchema.methods.verifyDeck = function() {
+  if (!this.deck || !this.deck.seed) {
+    return null;
+  }
+
+  const cards = this.bingoCards.map(card => ({
+    cardNumber: card.cardNumber,
+    matches: JSON.stringify(this.generateBingoCard(card.cardNumber)) === JSON.stringify(card.grid)
+  }));
+
+  return {
+    deckSeed: this.deck.seed,
+    deckSize: this.deckSize,
+    rerolls: this.deck.rerolls ? Object.fromEntries(this.deck.rerolls) : {},
+    cards,
+    cardsMatch: cards.every(card => card.matches)
+  };
+};
+
+// Reveal the draw seed as soon as the game is over. Copied inside MongoDB so
+// it works even when the secret seed wasn't loaded with the document.
+bingoGameSessionSchema.post('save', async function(doc) {
+  const isOver = doc.status === 'completed' || doc.status === 'cancelled';
+  if (isOver && doc.fairness && doc.fairness.commitment && !doc.fairness.revealedSeed) {
+    await doc.constructor.updateOne(
+      { _id: doc._id },
+      [{ $set: { 'fairness.revealedSeed': '$fairness.serverSeed' } }],
+      { session: doc.$session() }
+    );
+  }
+});
+
 // Indexes for performance
 bingoGameSessionSchema.index({ gameId: 1 });
 bingoGameSessionSchema.index({ status: 1 });
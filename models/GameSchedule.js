@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { TIME_PATTERN, isValidTimezone } = require('../utils/scheduleTimes');
+
+// Recurring schedule that creates games from a template, e.g. a game every
+// 15 minutes from 18:00 to 23:00. Each game is created and opened for players
+// leadMinutes before its start time (see utils/scheduleTimes.js).
+const gameScheduleSchema = new Schema({
+  template: {
+    type: Schema.Types.ObjectId,
+    ref: 'GameTemplate',
+    required: true
+  },
+  intervalMinutes: {
+    type: Number,
+    required: true,
+    min: 5,
+    max: 1440
+  },
+  windowStart: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  windowEnd: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  // 0 = Sunday ... 6 = Saturday, empty = every day
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimezone,
+      message: 'Unknown timezone'
+    }
+  },
+  leadMinutes: {
+    type: Number,
+    default: 10,
+    min: 1,
+    max: 240
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Start time of the next game and when it will be created (nextStartAt - leadMinutes)
+  nextStartAt: Date,
+  nextRunAt: Date,
+  lastRunAt: Date,
+  lastGameId: String,
+  // Why the last game could not be created (e.g. not enough credits)
+  lastError: String,
+  gamesCreated: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+gameScheduleSchema.index({ active: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('GameSchedule', gameScheduleSchema);
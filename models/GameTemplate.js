@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Saved Number Bingo game settings an admin can create games from
+// settings: same fields as the body of POST /api/bingo/create, validated by
+// validateGameSettings() when the template is saved and again for every game
+const gameTemplateSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  settings: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+gameTemplateSchema.index({ createdBy: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('GameTemplate', gameTemplateSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Progressive jackpot pool, either one global pool (run by the super admin)
+// or one per admin. Games that opt in feed contributionPercentage of their pot
+// into it; it is paid out when a full house is won within maxCalls numbers.
+const jackpotSchema = new Schema({
+  scope: {
+    type: String,
+    enum: ['global', 'admin'],
+    required: true
+  },
+  // The admin owning an 'admin' pool (null for the global pool)
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  contributionPercentage: {
+    type: Number,
+    default: 5,
+    min: 1,
+    max: 20
+  },
+  // A full house needs at least 24 calls (the FREE space is already marked)
+  maxCalls: {
+    type: Number,
+    default: 50,
+    min: 24,
+    max: 75
+  },
+  totalContributed: {
+    type: Number,
+    default: 0
+  },
+  totalPaid: {
+    type: Number,
+    default: 0
+  },
+  lastWonAt: Date,
+  lastWonGameId: String
+}, {
+  timestamps: true
+});
+
+jackpotSchema.index({ scope: 1, owner: 1 }, { unique: true });
+
+/**
+ * Returns the global pool or an admin's pool, creating it with the defaults
+ */
+jackpotSchema.statics.findOrCreate = function(scope, ownerId) {
+  const owner = scope === 'global' ? null : ownerId;
+  return this.findOneAndUpdate(
+    { scope, owner },
+    { $setOnInsert: { scope, owner } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('Jackpot', jackpotSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Accounts money can sit in. Wallet accounts mirror User.wallet, 'external'
+// is money entering or leaving the platform (cash top-ups and pay-outs).
+const ACCOUNTS = [
+  'player_wallet',
+  'admin_wallet',
+  'game_escrow',    // Entry fees of a game (gameId) waiting for settlement
+  'house_profit',
+  'jackpot_pool',   // A Jackpot pool (jackpot)
+  'pending_withdrawal', // Money held for a user's withdrawal request (user)
+  'external'
+];
+
+// One leg of an entry: a signed amount moved into (positive) or out of
+// (negative) an account
+const postingSchema = new Schema({
+  account: {
+    type: String,
+    enum: ACCOUNTS,
+    required: true
+  },
+  // Owner of a wallet or pending withdrawal account
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Game of an escrow account
+  gameId: String,
+  // Pool of a jackpot account
+  jackpot: {
+    type: Schema.Types.ObjectId,
+    ref: 'Jackpot'
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Double-entry journal: the postings of every entry add up to zero
+const ledgerEntrySchema = new Schema({
+  type: {
+    type: String,
+    enum: [
+      'opening_balance',  // Wallet balance that existed before the ledger
+      'admin_add',
+      'admin_subtract',
+      'admin_set',
+      'game_join',
+      'card_purchase',
+      'game_win',
+      'game_profit',
+      'game_refund',
+      'jackpot_contribution',
+      'jackpot_win',
+      'escrow_rounding',  // Rounding left in a settled game's escrow, moved to house_profit
+      'deposit',
+      'withdrawal_hold',
+      'withdrawal',
+      'withdrawal_release',
+      'provider_deposit',  // Deposit paid through a payment provider
+      'wallet_reclassification'  // Wallet moved between player_wallet and admin_wallet by a role change
+    ],
+    required: true
+  },
+  postings: {
+    type: [postingSchema],
+    validate: {
+      validator: function(postings) {
+        const total = postings.reduce((sum, posting) => sum + posting.amount, 0);
+        return postings.length >= 2 && Math.abs(total) < 1e-6;
+      },
+      message: 'Ledger postings must balance'
+    }
+  },
+  gameId: String,
+  description: {
+    type: String,
+    required: true
+  },
+  performedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+ledgerEntrySchema.index({ 'postings.user': 1 });
+ledgerEntrySchema.index({ 'postings.gameId': 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
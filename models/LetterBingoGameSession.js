@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const provablyFair = require('../utils/provablyFair');
 const { Schema } = mongoose;
 
 const playerWordSchema = new Schema({
@@ -105,26 +106,52 @@ const letterBingoGameSessionSchema = new Schema({
     ref: 'User',
     required: true
   },
+  // Provably fair draw: the seed's hash is published at start, the seed itself at completion
+  fairness: {
+    algorithm: String,
+    commitment: String,
+    // Kept secret while the game runs, load it explicitly with .select('+fairness.serverSeed')
+    serverSeed: {
+      type: String,
+      select: false
+    },
+    revealedSeed: String
+  },
+  // When the next letter is due to be drawn (used to resume after a restart)
+  nextDrawAt: Date,
   startedAt: Date,
   completedAt: Date
 }, { 
   timestamps: true 
 });
 
-// Initialize remaining letters when game starts
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+// Initialize remaining letters when game starts and commit to the draw seed
 letterBingoGameSessionSchema.methods.initializeLetters = function() {
-  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
-  this.remainingLetters = alphabet;
+  this.remainingLetters = [...ALPHABET];
   this.drawnLetters = [];
+
+  const serverSeed = provablyFair.generateServerSeed();
+  this.fairness = {
+    algorithm: provablyFair.ALGORITHM,
+    commitment: provablyFair.hashSeed(serverSeed),
+    serverSeed: serverSeed
+  };
 };
 
-// Draw a random letter
+// Draw the next letter, derived from the committed seed and the draw index
+// (games started without a seed fall back to Math.random).
+// The game must be loaded with '+fairness.serverSeed'.
 letterBingoGameSessionSchema.methods.drawLetter = function() {
   if (this.remainingLetters.length === 0) {
     return null;
   }
   
-  const randomIndex = Math.floor(Math.random() * this.remainingLetters.length);
+  const serverSeed = this.fairness && this.fairness.serverSeed;
+  const randomIndex = serverSeed
+    ? provablyFair.drawIndex(serverSeed, this.drawnLetters.length, this.remainingLetters.length)
+    : Math.floor(Math.random() * this.remainingLetters.length);
   const drawnLetter = this.remainingLetters[randomIndex];
   
   // Remove from remaining and add to drawn
@@ -198,10 +225,71 @@ letterBingoGameSessionSchema.methods.getPlayerGameState = function(playerId) {
     maxPlayers: this.maxPlayers,
     winners: this.winners,
     isWinner: playerWord ? playerWord.isWinner : false,
-    drawSpeed: this.drawSpeed
+    drawSpeed: this.drawSpeed,
+    fairness: this.fairness ? {
+      algorithm: this.fairness.algorithm,
+      commitment: this.fairness.commitment,
+      revealedSeed: this.fairness.revealedSeed
+    } : null
+  };
+};
+
+// State sent to a player reconnecting over a socket: the letters drawn after
+// the last draw index they saw (1-based, 0 = none), their word's matches and the winners
+letterBingoGameSessionSchema.methods.getResyncState = async function(playerId, lastCallIndex) {
+  await this.populate('winners', 'username');
+
+  const seen = Math.min(Math.max(parseInt(lastCallIndex, 10) || 0, 0), this.drawnLetters.length);
+  const playerWord = this.playerWords.find(pw => pw.player.equals(playerId));
+
+  return {
+    gameId: this.gameId,
+    status: this.status,
+    lastCallIndex: this.drawnLetters.length,
+    missedCalls: this.drawnLetters.slice(seen).map((dl, i) => ({
+      index: seen + i + 1,
+      letter: dl.letter,
+      drawnAt: dl.drawnAt
+    })),
+    drawnLetters: this.drawnLetters.map(dl => dl.letter),
+    remainingCount: this.remainingLetters.length,
+    myWord: playerWord ? playerWord.word : null,
+    matchedLetters: playerWord ? playerWord.matchedLetters : [],
+    isWinner: playerWord ? playerWord.isWinner : false,
+    winners: this.winners.map(w => ({
+      _id: w._id,
+      username: w.username
+    })),
+    gameCompleted: this.status === 'completed'
   };
 };
 
+// Replay the draw from the revealed seed (null while the seed is still secret)
+letterBingoGameSessionSchema.methods.verifyDraws = function() {
+  if (!this.fairness || !this.fairness.revealedSeed) {
+    return null;
+  }
+
+  return provablyFair.verifyDraws({
+    commitment: this.fairness.commitment,
+    seed: this.fairness.revealedSeed,
+    pool: ALPHABET,
+    drawn: this.drawnLetters.map(dl => dl.letter)
+  });
+};
+
+// Reveal the draw seed as soon as the game is over (copied inside MongoDB,
+// so it works even when the secret seed wasn't loaded with the document)
+letterBingoGameSessionSchema.post('save', async function(doc) {
+  if (doc.status === 'completed' && doc.fairness && doc.fairness.commitment && !doc.fairness.revealedSeed) {
+    await doc.constructor.updateOne(
+      { _id: doc._id },
+      [{ $set: { 'fairness.revealedSeed': '$fairness.serverSeed' } }],
+      { session: doc.$session() }
+    );
+  }
+});
+
 // Index for faster queries
 letterBingoGameSessionSchema.index({ gameId: 1 });
 letterBingoGameSessionSchema.index({ status: 1 });
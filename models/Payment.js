@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A deposit paid through a payment provider. It is credited to the player's
+// wallet when the provider's webhook reports it succeeded.
+const paymentSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'ETB'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  // The provider's id for the payment, webhooks refer to it
+  providerReference: {
+    type: String,
+    required: true
+  },
+  checkoutUrl: String,
+  // Ids of the webhook events received, a repeated event is ignored
+  webhookEvents: [String],
+  failureReason: String,
+  // Ledger entry that credited the wallet
+  ledgerEntry: {
+    type: Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ provider: 1, providerReference: 1 }, { unique: true });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A logged-in device. Holds the hash of its current refresh token, which is
+// replaced every time it is used (see services/sessions.js).
+const sessionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // The refresh token this one replaced; presenting it again means it was stolen
+  previousTokenHash: String,
+  // User.tokenVersion when the session started, bumping it ends the session
+  tokenVersion: {
+    type: Number,
+    required: true
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,19 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, STAFF_ROLES, permissionsOf } = require('../utils/permissions');
+
+// Responsible gaming limits a player sets on themselves (null / unset = no limit).
+// Deposit and loss limits are amounts over a rolling day, week (7 days) or month (30 days).
+const gamblingLimitsSchema = new mongoose.Schema({
+  depositDaily: { type: Number, min: 0 },
+  depositWeekly: { type: Number, min: 0 },
+  depositMonthly: { type: Number, min: 0 },
+  lossDaily: { type: Number, min: 0 },
+  lossWeekly: { type: Number, min: 0 },
+  lossMonthly: { type: Number, min: 0 },
+  // Games joined in a rolling day
+  gamesPerDay: { type: Number, min: 1, max: 100 }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -12,13 +26,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  isAdmin: {
-    type: Boolean,
-    default: false
-  },
-  isSuperAdmin: {
-    type: Boolean,
-    default: false
+  // What the user may do (see utils/permissions.js)
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'player',
+    index: true
   },
   credits: {
     type: Number,
@@ -35,12 +48,63 @@ const userSchema = new mongoose.Schema({
     of: Number,
     default: () => new Map()
   },
+  // When an admin's cancelled game gives its game cost back (set by superadmin):
+  // always, only if it never started, or never
+  gameCostRefundRule: {
+    type: String,
+    enum: ['always', 'unstarted', 'never'],
+    default: 'unstarted'
+  },
+  // Responsible gaming settings (see services/responsibleGaming.js)
+  responsibleGaming: {
+    limits: {
+      type: gamblingLimitsSchema,
+      default: () => ({})
+    },
+    // Raised or removed limits only take effect after a waiting period
+    pendingLimits: {
+      limits: gamblingLimitsSchema,
+      effectiveAt: Date
+    },
+    coolOffUntil: Date,
+    selfExcludedUntil: Date,
+    // When the player last joined games, for gamesPerDay
+    recentJoins: [Date]
+  },
+  // Bumped to end every session of the user (see services/sessions.js)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Staff accounts (any role but player) and super admins, derived from the role
+userSchema.virtual('isAdmin').get(function() {
+  return STAFF_ROLES.includes(this.role);
+});
+
+userSchema.virtual('isSuperAdmin').get(function() {
+  return this.role === 'super_admin';
+});
+
+userSchema.virtual('permissions').get(function() {
+  return permissionsOf(this);
+});
+
+// A new password or a new role ends every existing session
+userSchema.pre('save', function(next) {
+  if (this.isNew) return next();
+
+  if (this.isModified('password') || this.isModified('role')) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -53,4 +117,22 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Gives users from before roles existed the role matching their old
+ * isAdmin / isSuperAdmin flags, and drops the flags
+ * @returns {Number} - Users migrated
+ */
+userSchema.statics.migrateLegacyRoles = async function() {
+  const unmigrated = { role: { $exists: false } };
+  const superAdmins = await this.collection.updateMany({ ...unmigrated, isSuperAdmin: true }, { $set: { role: 'super_admin' } });
+  const admins = await this.collection.updateMany({ ...unmigrated, isAdmin: true }, { $set: { role: 'admin' } });
+  const players = await this.collection.updateMany(unmigrated, { $set: { role: 'player' } });
+  await this.collection.updateMany(
+    { $or: [{ isAdmin: { $exists: true } }, { isSuperAdmin: { $exists: true } }] },
+    { $unset: { isAdmin: '', isSuperAdmin: '' } }
+  );
+
+  return superAdmins.modifiedCount + admins.modifiedCount + players.modifiedCount;
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A player's request to deposit money into or withdraw money from their
+// wallet, approved or rejected by an admin. A withdrawal's amount is held
+// (moved out of the wallet into the ledger's pending_withdrawal account) from
+// the moment it is submitted until it is processed.
+const walletRequestSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['deposit', 'withdrawal'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  // How the money moves outside the platform, e.g. bank transfer or mobile money
+  method: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // Payment reference of a deposit, account to pay a withdrawal into
+  reference: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String,
+  // Ledger entry that moved the money when the request was approved
+  ledgerEntry: {
+    type: Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  }
+}, {
+  timestamps: true
+});
+
+walletRequestSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('WalletRequest', walletRequestSchema);
@@ -15,8 +15,16 @@ const walletTransactionSchema = new Schema({
       'admin_subtract',   // Admin subtracted money
       'admin_set',        // Admin set balance
       'game_join',        // Player joined game (entry fee deducted)
+      'card_purchase',    // Player bought an extra card (entry fee deducted)
       'game_win',         // Player won game (prize added)
-      'game_profit'       // Admin received profit from game
+      'game_profit',      // Admin received profit from game
+      'game_refund',      // Entry fees given back when a game was cancelled
+      'jackpot_contribution', // Slice of a game's pot put into a jackpot pool (admin's entry, wallet unchanged)
+      'jackpot_win',      // Player won a jackpot pool (prize added)
+      'deposit',          // Approved deposit request (money added)
+      'withdrawal_hold',  // Withdrawal request submitted (amount held until it is processed)
+      'withdrawal_release', // Withdrawal request rejected or cancelled (held amount given back)
+      'provider_deposit'  // Deposit paid through a payment provider (money added)
     ],
     required: true
   },
@@ -44,6 +52,11 @@ const walletTransactionSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'User'
   },
+  // The double-entry ledger entry this wallet movement belongs to
+  ledgerEntry: {
+    type: Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
   createdAt: {
     type: Date,
     default: Date.now,
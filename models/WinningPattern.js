@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { BUILT_IN_PATTERN_NAMES, validateMasks } = require('../utils/winningPatterns');
+
+// Reusable custom winning pattern designed by an admin
+// masks: list of 5x5 masks (mask[row][col]), the pattern is won when any mask is complete
+const winningPatternSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9-]{2,40}$/,
+    validate: {
+      validator: function(name) {
+        return !BUILT_IN_PATTERN_NAMES.includes(name);
+      },
+      message: 'Pattern name is reserved for a built-in pattern'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  masks: {
+    type: [[[Boolean]]],
+    required: true,
+    validate: {
+      validator: function(masks) {
+        return validateMasks(masks) === null;
+      },
+      message: 'Masks must be 5x5 grids that each require at least one cell'
+    }
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('WinningPattern', winningPatternSchema);
@@ -1,10 +1,25 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { superAdminAuth, adminAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 const User = require('../models/User');
 const WalletTransaction = require('../models/WalletTransaction');
 const BingoGameSession = require('../models/BingoGameSession');
 const LetterBingoGameSession = require('../models/LetterBingoGameSession');
+const { emitWalletUpdated } = require('../utils/socketRooms');
+const ledger = require('../services/ledger');
+const responsibleGaming = require('../services/responsibleGaming');
+const passwordReset = require('../services/passwordReset');
+const sessions = require('../services/sessions');
+const { PERMISSIONS, ROLE_PERMISSIONS, ROLES, rolesWithPermission } = require('../utils/permissions');
+
+// Staff who run games on their own credits (admins and game hosts); super
+// admins' games are free
+const OPERATOR_ROLES = rolesWithPermission('game:create').filter(role => role !== 'super_admin');
+const isOperator = (user) => OPERATOR_ROLES.includes(user.role);
+
+// How often every wallet is checked against the ledger
+const RECONCILE_INTERVAL_MS = 60 * 60 * 1000;
 
 // Socket.io instance will be set from server.js
 let io;
@@ -17,9 +32,9 @@ const setSocketIO = (socketIO) => {
  * Get all admins with their credit info (Super Admin only)
  * GET /api/admin-management/admins
  */
-router.get('/admins', superAdminAuth, async (req, res) => {
+router.get('/admins', requirePermission('admin:manage'), async (req, res) => {
   try {
-    const admins = await User.find({ isAdmin: true, isSuperAdmin: false })
+    const admins = await User.find({ role: { $in: OPERATOR_ROLES } })
       .select('-password')
       .sort({ createdAt: -1 });
 
@@ -43,7 +58,7 @@ router.get('/admins', superAdminAuth, async (req, res) => {
  * Add credits to an admin (Super Admin only)
  * POST /api/admin-management/admins/:adminId/add-credits
  */
-router.post('/admins/:adminId/add-credits', superAdminAuth, async (req, res) => {
+router.post('/admins/:adminId/add-credits', requirePermission('admin:manage'), async (req, res) => {
   try {
     const { credits } = req.body;
     const { adminId } = req.params;
@@ -57,7 +72,7 @@ router.post('/admins/:adminId/add-credits', superAdminAuth, async (req, res) =>
       return res.status(404).json({ error: 'Admin not found' });
     }
 
-    if (!admin.isAdmin || admin.isSuperAdmin) {
+    if (!isOperator(admin)) {
       return res.status(400).json({ error: 'User is not an admin' });
     }
 
@@ -82,7 +97,7 @@ router.post('/admins/:adminId/add-credits', superAdminAuth, async (req, res) =>
  * Subtract credits from an admin (Super Admin only)
  * POST /api/admin-management/admins/:adminId/subtract-credits
  */
-router.post('/admins/:adminId/subtract-credits', superAdminAuth, async (req, res) => {
+router.post('/admins/:adminId/subtract-credits', requirePermission('admin:manage'), async (req, res) => {
   try {
     const { credits } = req.body;
     const { adminId } = req.params;
@@ -96,7 +111,7 @@ router.post('/admins/:adminId/subtract-credits', superAdminAuth, async (req, res
       return res.status(404).json({ error: 'Admin not found' });
     }
 
-    if (!admin.isAdmin || admin.isSuperAdmin) {
+    if (!isOperator(admin)) {
       return res.status(400).json({ error: 'User is not an admin' });
     }
 
@@ -125,7 +140,7 @@ router.post('/admins/:adminId/subtract-credits', superAdminAuth, async (req, res
  * Set admin credits to specific amount (Super Admin only)
  * POST /api/admin-management/admins/:adminId/set-credits
  */
-router.post('/admins/:adminId/set-credits', superAdminAuth, async (req, res) => {
+router.post('/admins/:adminId/set-credits', requirePermission('admin:manage'), async (req, res) => {
   try {
     const { credits } = req.body;
     const { adminId } = req.params;
@@ -139,7 +154,7 @@ router.post('/admins/:adminId/set-credits', superAdminAuth, async (req, res) =>
       return res.status(404).json({ error: 'Admin not found' });
     }
 
-    if (!admin.isAdmin || admin.isSuperAdmin) {
+    if (!isOperator(admin)) {
       return res.status(400).json({ error: 'User is not an admin' });
     }
 
@@ -164,7 +179,7 @@ router.post('/admins/:adminId/set-credits', superAdminAuth, async (req, res) =>
  * Get current admin's credit balance
  * GET /api/admin-management/my-credits
  */
-router.get('/my-credits', adminAuth, async (req, res) => {
+router.get('/my-credits', requirePermission('game:create'), async (req, res) => {
   try {
     const admin = await User.findById(req.user._id).select('credits username');
     res.json({
@@ -181,12 +196,9 @@ router.get('/my-credits', adminAuth, async (req, res) => {
  * Get all players (regular users who are not admins)
  * GET /api/admin-management/players
  */
-router.get('/players', adminAuth, async (req, res) => {
+router.get('/players', requirePermission('player:view'), async (req, res) => {
   try {
-    const players = await User.find({
-      isAdmin: false,
-      isSuperAdmin: false
-    })
+    const players = await User.find({ role: 'player' })
       .select('username email wallet createdAt')
       .sort({ createdAt: -1 });
 
@@ -201,7 +213,7 @@ router.get('/players', adminAuth, async (req, res) => {
  * Add money to player's wallet (Admin only)
  * POST /api/admin-management/players/:playerId/add-wallet
  */
-router.post('/players/:playerId/add-wallet', adminAuth, async (req, res) => {
+router.post('/players/:playerId/add-wallet', requirePermission('wallet:adjust'), async (req, res) => {
   try {
     const { amount } = req.body;
     const { playerId } = req.params;
@@ -215,32 +227,28 @@ router.post('/players/:playerId/add-wallet', adminAuth, async (req, res) => {
       return res.status(404).json({ error: 'Player not found' });
     }
 
-    if (player.isAdmin || player.isSuperAdmin) {
+    if (player.role !== 'player') {
       return res.status(400).json({ error: 'Cannot modify admin wallet' });
     }
 
-    const balanceBefore = player.wallet;
-    player.wallet += amount;
-    await player.save();
+    // A top-up is a deposit: self-exclusion, cool-off and deposit limits apply
+    const limitError = await responsibleGaming.checkCanDeposit(player._id, amount);
+    if (limitError) {
+      return res.status(403).json({ error: `${player.username}: ${limitError}` });
+    }
 
-    // Record transaction
-    await WalletTransaction.create({
-      user: player._id,
+    const { balances: [balance] } = await ledger.transfer({
       type: 'admin_add',
-      amount: amount,
-      balanceBefore: balanceBefore,
-      balanceAfter: player.wallet,
+      from: ledger.external(),
+      to: ledger.wallet(player._id),
+      amount,
       description: `Admin added ${amount} Birr to wallet`,
       performedBy: req.user._id
     });
+    player.wallet = balance.balanceAfter;
 
-    // Emit socket event for real-time update
-    if (io) {
-      io.emit('walletUpdated', {
-        userId: player._id.toString(),
-        newBalance: player.wallet
-      });
-    }
+    // Emit socket event for real-time update (to the player only)
+    emitWalletUpdated(io, player._id, player.wallet);
 
     res.json({
       message: `Added ${amount} to ${player.username}'s wallet`,
@@ -260,7 +268,7 @@ router.post('/players/:playerId/add-wallet', adminAuth, async (req, res) => {
  * Subtract money from player's wallet (Admin only)
  * POST /api/admin-management/players/:playerId/subtract-wallet
  */
-router.post('/players/:playerId/subtract-wallet', adminAuth, async (req, res) => {
+router.post('/players/:playerId/subtract-wallet', requirePermission('wallet:adjust'), async (req, res) => {
   try {
     const { amount } = req.body;
     const { playerId } = req.params;
@@ -274,7 +282,7 @@ router.post('/players/:playerId/subtract-wallet', adminAuth, async (req, res) =>
       return res.status(404).json({ error: 'Player not found' });
     }
 
-    if (player.isAdmin || player.isSuperAdmin) {
+    if (player.role !== 'player') {
       return res.status(400).json({ error: 'Cannot modify admin wallet' });
     }
 
@@ -282,28 +290,26 @@ router.post('/players/:playerId/subtract-wallet', adminAuth, async (req, res) =>
       return res.status(400).json({ error: 'Insufficient wallet balance' });
     }
 
-    const balanceBefore = player.wallet;
-    player.wallet -= amount;
-    await player.save();
-
-    // Record transaction
-    await WalletTransaction.create({
-      user: player._id,
-      type: 'admin_subtract',
-      amount: -amount,
-      balanceBefore: balanceBefore,
-      balanceAfter: player.wallet,
-      description: `Admin subtracted ${amount} Birr from wallet`,
-      performedBy: req.user._id
-    });
-
-    // Emit socket event for real-time update
-    if (io) {
-      io.emit('walletUpdated', {
-        userId: player._id.toString(),
-        newBalance: player.wallet
-      });
+    let balance;
+    try {
+      ({ balances: [balance] } = await ledger.transfer({
+        type: 'admin_subtract',
+        from: ledger.wallet(player._id),
+        to: ledger.external(),
+        amount,
+        description: `Admin subtracted ${amount} Birr from wallet`,
+        performedBy: req.user._id
+      }));
+    } catch (error) {
+      if (error.message === ledger.INSUFFICIENT_BALANCE) {
+        return res.status(400).json({ error: 'Insufficient wallet balance' });
+      }
+      throw error;
     }
+    player.wallet = balance.balanceAfter;
+
+    // Emit socket event for real-time update (to the player only)
+    emitWalletUpdated(io, player._id, player.wallet);
 
     res.json({
       message: `Subtracted ${amount} from ${player.username}'s wallet`,
@@ -323,7 +329,7 @@ router.post('/players/:playerId/subtract-wallet', adminAuth, async (req, res) =>
  * Set player's wallet to specific amount (Admin only)
  * POST /api/admin-management/players/:playerId/set-wallet
  */
-router.post('/players/:playerId/set-wallet', adminAuth, async (req, res) => {
+router.post('/players/:playerId/set-wallet', requirePermission('wallet:adjust'), async (req, res) => {
   try {
     const { amount } = req.body;
     const { playerId } = req.params;
@@ -337,33 +343,36 @@ router.post('/players/:playerId/set-wallet', adminAuth, async (req, res) => {
       return res.status(404).json({ error: 'Player not found' });
     }
 
-    if (player.isAdmin || player.isSuperAdmin) {
+    if (player.role !== 'player') {
       return res.status(400).json({ error: 'Cannot modify admin wallet' });
     }
 
-    const balanceBefore = player.wallet;
-    player.wallet = amount;
-    await player.save();
+    // Posted as the difference, in or out of the wallet
+    const difference = amount - player.wallet;
 
-    // Record transaction
-    await WalletTransaction.create({
-      user: player._id,
-      type: 'admin_set',
-      amount: amount - balanceBefore,
-      balanceBefore: balanceBefore,
-      balanceAfter: player.wallet,
-      description: `Admin set wallet to ${amount} Birr`,
-      performedBy: req.user._id
-    });
+    // Raising the wallet is a deposit: self-exclusion, cool-off and deposit limits apply
+    if (difference > 0) {
+      const limitError = await responsibleGaming.checkCanDeposit(player._id, difference);
+      if (limitError) {
+        return res.status(403).json({ error: `${player.username}: ${limitError}` });
+      }
+    }
 
-    // Emit socket event for real-time update
-    if (io) {
-      io.emit('walletUpdated', {
-        userId: player._id.toString(),
-        newBalance: player.wallet
+    if (difference !== 0) {
+      const { balances: [balance] } = await ledger.transfer({
+        type: 'admin_set',
+        from: difference > 0 ? ledger.external() : ledger.wallet(player._id),
+        to: difference > 0 ? ledger.wallet(player._id) : ledger.external(),
+        amount: Math.abs(difference),
+        description: `Admin set wallet to ${amount} Birr`,
+        performedBy: req.user._id
       });
+      player.wallet = balance.balanceAfter;
     }
 
+    // Emit socket event for real-time update (to the player only)
+    emitWalletUpdated(io, player._id, player.wallet);
+
     res.json({
       message: `Set ${player.username}'s wallet to ${amount}`,
       player: {
@@ -382,7 +391,7 @@ router.post('/players/:playerId/set-wallet', adminAuth, async (req, res) => {
  * Set game cost for a specific admin and game (Super Admin only)
  * POST /api/admin-management/admins/:adminId/set-game-cost
  */
-router.post('/admins/:adminId/set-game-cost', superAdminAuth, async (req, res) => {
+router.post('/admins/:adminId/set-game-cost', requirePermission('admin:manage'), async (req, res) => {
   try {
     const { gameCost, gameType } = req.body;
     const { adminId } = req.params;
@@ -400,7 +409,7 @@ router.post('/admins/:adminId/set-game-cost', superAdminAuth, async (req, res) =
       return res.status(404).json({ error: 'Admin not found' });
     }
 
-    if (!admin.isAdmin || admin.isSuperAdmin) {
+    if (!isOperator(admin)) {
       return res.status(400).json({ error: 'User is not an admin' });
     }
 
@@ -430,16 +439,92 @@ router.post('/admins/:adminId/set-game-cost', superAdminAuth, async (req, res) =
   }
 });
 
+/**
+ * Set when an admin gets their game cost back for a cancelled game (Super Admin only)
+ * always, unstarted (only games that never started) or never
+ * POST /api/admin-management/admins/:adminId/set-refund-rule
+ */
+router.post('/admins/:adminId/set-refund-rule', requirePermission('admin:manage'), async (req, res) => {
+  try {
+    const { gameCostRefundRule } = req.body;
+    const { adminId } = req.params;
+
+    if (!['always', 'unstarted', 'never'].includes(gameCostRefundRule)) {
+      return res.status(400).json({ error: 'Refund rule must be always, unstarted or never' });
+    }
+
+    const admin = await User.findById(adminId);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    if (!isOperator(admin)) {
+      return res.status(400).json({ error: 'User is not an admin' });
+    }
+
+    admin.gameCostRefundRule = gameCostRefundRule;
+    await admin.save();
+
+    res.json({
+      message: `Set game cost refund rule to ${gameCostRefundRule} for ${admin.username}`,
+      admin: {
+        _id: admin._id,
+        username: admin.username,
+        gameCostRefundRule: admin.gameCostRefundRule
+      }
+    });
+  } catch (error) {
+    console.error('Error setting refund rule:', error);
+    res.status(500).json({ error: 'Error setting refund rule' });
+  }
+});
+
+/**
+ * Revenue, jackpot contribution and admin profit of a Number Bingo game
+ * Taken from the game's ledger entries (ledgerFigures, see ledger.gameFigures),
+ * so extra cards, refunds and what was actually paid out count. Games from
+ * before the ledger are estimated from their paid entries: one per player plus
+ * every extra card (see BingoGameSession.countPaidEntries). Jackpot games put
+ * their contribution into the pool before the admin's profit is taken; once
+ * the game has completed, the contribution it recorded is used.
+ */
+function numberBingoFigures(game, ledgerFigures) {
+  if (ledgerFigures.has(game.gameId)) {
+    return ledgerFigures.get(game.gameId);
+  }
+
+  const cardsPerPlayer = new Map();
+  (game.bingoCards || []).forEach(card => {
+    const key = card.player.toString();
+    cardsPerPlayer.set(key, (cardsPerPlayer.get(key) || 0) + 1);
+  });
+  let extraCards = 0;
+  cardsPerPlayer.forEach(count => {
+    extraCards += Math.max(0, count - 1);
+  });
+
+  const revenue = ((game.players?.length || 0) + extraCards) * (game.playerEntryFee || 0);
+  let jackpotContribution = 0;
+  if (typeof game.jackpot?.contributed === 'number') {
+    jackpotContribution = game.jackpot.contributed;
+  } else if (game.jackpot?.pool) {
+    jackpotContribution = (revenue * (game.jackpot.contributionPercentage || 0)) / 100;
+  }
+  const profit = ((revenue - jackpotContribution) * (game.profitPercentage || 0)) / 100;
+
+  return { revenue, jackpotContribution, profit };
+}
+
 /**
  * Get comprehensive analytics for all admins (Super Admin only)
  * GET /api/admin-management/analytics
  */
-router.get('/analytics', superAdminAuth, async (req, res) => {
+router.get('/analytics', requirePermission('analytics:view'), async (req, res) => {
   try {
 
 
     // Get all admins
-    const admins = await User.find({ isAdmin: true, isSuperAdmin: false })
+    const admins = await User.find({ role: { $in: OPERATOR_ROLES } })
       .select('-password')
       .lean();
 
@@ -448,6 +533,7 @@ router.get('/analytics', superAdminAuth, async (req, res) => {
     for (const admin of admins) {
       // Get number bingo games created by this admin
       const numberBingoGames = await BingoGameSession.find({ createdBy: admin._id }).lean();
+      const numberBingoLedger = await ledger.gameFigures(numberBingoGames.map(g => g.gameId));
 
       // Get letter bingo games created by this admin
       const letterBingoGames = await LetterBingoGameSession.find({ createdBy: admin._id }).lean();
@@ -457,19 +543,21 @@ router.get('/analytics', superAdminAuth, async (req, res) => {
         totalGames: numberBingoGames.length,
         completedGames: numberBingoGames.filter(g => g.status === 'completed').length,
         activeGames: numberBingoGames.filter(g => g.status === 'active').length,
+        cancelledGames: numberBingoGames.filter(g => g.status === 'cancelled').length,
         totalRevenue: 0,
+        totalJackpotContributions: 0,
         totalProfit: 0,
         totalPlayers: 0
       };
 
-      numberBingoGames.forEach(game => {
-        const playerCount = game.players?.length || 0;
-        const revenue = playerCount * (game.playerEntryFee || 0);
-        const profit = (revenue * (game.profitPercentage || 0)) / 100;
+      // Cancelled games refunded their entry fees
+      numberBingoGames.filter(g => g.status !== 'cancelled').forEach(game => {
+        const { revenue, jackpotContribution, profit } = numberBingoFigures(game, numberBingoLedger);
 
         numberBingoStats.totalRevenue += revenue;
+        numberBingoStats.totalJackpotContributions += jackpotContribution;
         numberBingoStats.totalProfit += profit;
-        numberBingoStats.totalPlayers += playerCount;
+        numberBingoStats.totalPlayers += game.players?.length || 0;
       });
 
       // Calculate statistics for letter bingo
@@ -535,10 +623,7 @@ router.get('/analytics', superAdminAuth, async (req, res) => {
     analyticsData.sort((a, b) => b.combined.totalProfit - a.combined.totalProfit);
 
     // Get total unique players (regular users only, not admins/superadmins)
-    const totalPlayers = await User.countDocuments({
-      isAdmin: false,
-      isSuperAdmin: false
-    });
+    const totalPlayers = await User.countDocuments({ role: 'player' });
 
     // Calculate overall statistics
     const overallStats = {
@@ -567,14 +652,14 @@ router.get('/analytics', superAdminAuth, async (req, res) => {
  * Get analytics for a specific admin (Super Admin only)
  * GET /api/admin-management/admins/:adminId/analytics
  */
-router.get('/admins/:adminId/analytics', superAdminAuth, async (req, res) => {
+router.get('/admins/:adminId/analytics', requirePermission('analytics:view'), async (req, res) => {
   try {
     const { adminId } = req.params;
     const BingoGameSession = require('../models/BingoGameSession');
     const LetterBingoGameSession = require('../models/LetterBingoGameSession');
 
     const admin = await User.findById(adminId).select('-password').lean();
-    if (!admin || !admin.isAdmin || admin.isSuperAdmin) {
+    if (!admin || !isOperator(admin)) {
       return res.status(404).json({ error: 'Admin not found' });
     }
 
@@ -583,6 +668,7 @@ router.get('/admins/:adminId/analytics', superAdminAuth, async (req, res) => {
       .populate('players', 'username')
       .sort({ createdAt: -1 })
       .lean();
+    const numberBingoLedger = await ledger.gameFigures(numberBingoGames.map(g => g.gameId));
 
     const letterBingoGames = await LetterBingoGameSession.find({ createdBy: adminId })
       .populate('players', 'username')
@@ -595,8 +681,7 @@ router.get('/admins/:adminId/analytics', superAdminAuth, async (req, res) => {
         ...g,
         gameType: 'Number Bingo',
         playerCount: g.players?.length || 0,
-        revenue: (g.players?.length || 0) * (g.playerEntryFee || 0),
-        profit: ((g.players?.length || 0) * (g.playerEntryFee || 0) * (g.profitPercentage || 0)) / 100
+        ...numberBingoFigures(g, numberBingoLedger)
       })),
       ...letterBingoGames.map(g => ({
         ...g,
@@ -625,10 +710,10 @@ router.get('/admins/:adminId/analytics', superAdminAuth, async (req, res) => {
 });
 
 /**
- * Get wallet transaction history for current user (Player or Admin)
+ * Get wallet transaction history for current user (Admin only)
  * GET /api/admin-management/wallet-history
  */
-router.get('/wallet-history', adminAuth, async (req, res) => {
+router.get('/wallet-history', requirePermission('player:view'), async (req, res) => {
   try {
     const { limit = 50 } = req.query;
 
@@ -649,7 +734,7 @@ router.get('/wallet-history', adminAuth, async (req, res) => {
  * Get wallet transaction history for a specific player (Admin only)
  * GET /api/admin-management/players/:playerId/wallet-history
  */
-router.get('/players/:playerId/wallet-history', adminAuth, async (req, res) => {
+router.get('/players/:playerId/wallet-history', requirePermission('player:view'), async (req, res) => {
   try {
     const { playerId } = req.params;
     const { limit = 50 } = req.query;
@@ -679,4 +764,233 @@ router.get('/players/:playerId/wallet-history', adminAuth, async (req, res) => {
   }
 });
 
-module.exports = { router, setSocketIO };
+/**
+ * View a player's responsible gaming limits, usage, cool-off and self-exclusion (Admin only)
+ * GET /api/admin-management/players/:playerId/responsible-gaming
+ */
+router.get('/players/:playerId/responsible-gaming', requirePermission('player:manage'), async (req, res) => {
+  try {
+    const player = await User.findById(req.params.playerId);
+    if (!player || player.role !== 'player') {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    if (responsibleGaming.activatePendingLimits(player)) {
+      await player.save();
+    }
+
+    res.json({
+      player: {
+        _id: player._id,
+        username: player.username
+      },
+      ...(await responsibleGaming.getOverview(player))
+    });
+  } catch (error) {
+    console.error('Error fetching responsible gaming settings:', error);
+    res.status(500).json({ error: 'Error fetching responsible gaming settings' });
+  }
+});
+
+/**
+ * Change a player's limits (Admin only)
+ * Same rules as for the player: tighter limits apply at once, looser ones
+ * only after the waiting period.
+ * PUT /api/admin-management/players/:playerId/responsible-gaming/limits
+ */
+router.put('/players/:playerId/responsible-gaming/limits', requirePermission('player:manage'), async (req, res) => {
+  try {
+    const changes = req.body.limits;
+    const validationError = responsibleGaming.validateLimitChanges(changes);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const player = await User.findById(req.params.playerId);
+    if (!player || player.role !== 'player') {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    responsibleGaming.changeLimits(player, changes);
+    await player.save();
+
+    res.json({
+      message: `Updated ${player.username}'s limits`,
+      ...(await responsibleGaming.getOverview(player))
+    });
+  } catch (error) {
+    console.error('Error updating responsible gaming limits:', error);
+    res.status(500).json({ error: 'Error updating responsible gaming limits' });
+  }
+});
+
+/**
+ * Issue a one-time password reset code for a player who forgot their password (Admin only)
+ * The code is shown once; the player redeems it at POST /api/auth/reset-password
+ * POST /api/admin-management/players/:playerId/reset-code
+ */
+router.post('/players/:playerId/reset-code', requirePermission('player:manage'), async (req, res) => {
+  try {
+    const player = await User.findById(req.params.playerId);
+    if (!player || player.role !== 'player') {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const { code, expiresAt } = await passwordReset.issueResetCode(player, req.user);
+
+    res.json({
+      message: `Reset code issued for ${player.username}, valid for ${passwordReset.CODE_TTL_MINUTES} minutes`,
+      code,
+      expiresAt,
+      player: {
+        _id: player._id,
+        username: player.username
+      }
+    });
+  } catch (error) {
+    console.error('Error issuing reset code:', error);
+    res.status(500).json({ error: 'Error issuing reset code' });
+  }
+});
+
+/**
+ * Issue a one-time password reset code for an admin (Super Admin only)
+ * POST /api/admin-management/admins/:adminId/reset-code
+ */
+router.post('/admins/:adminId/reset-code', requirePermission('admin:manage'), async (req, res) => {
+  try {
+    const admin = await User.findById(req.params.adminId);
+    if (!admin || admin.role === 'player' || admin.role === 'super_admin') {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const { code, expiresAt } = await passwordReset.issueResetCode(admin, req.user);
+
+    res.json({
+      message: `Reset code issued for ${admin.username}, valid for ${passwordReset.CODE_TTL_MINUTES} minutes`,
+      code,
+      expiresAt,
+      admin: {
+        _id: admin._id,
+        username: admin.username
+      }
+    });
+  } catch (error) {
+    console.error('Error issuing reset code:', error);
+    res.status(500).json({ error: 'Error issuing reset code' });
+  }
+});
+
+/**
+ * List the roles and what each of them may do
+ * GET /api/admin-management/roles
+ */
+router.get('/roles', requirePermission('role:assign'), async (req, res) => {
+  res.json({
+    roles: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })),
+    permissions: PERMISSIONS
+  });
+});
+
+/**
+ * Change a user's role (ends their sessions, so the new role applies at once)
+ * PUT /api/admin-management/users/:userId/role
+ */
+router.put('/users/:userId/role', requirePermission('role:assign'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (req.user._id.equals(req.params.userId)) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.role === role) {
+      return res.status(400).json({ error: `${user.username} already is ${role}` });
+    }
+
+    if (user.role === 'super_admin' && await User.countDocuments({ role: 'super_admin' }) <= 1) {
+      return res.status(400).json({ error: 'Cannot remove the last super admin' });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+
+    // Moving between player and staff also moves the wallet to the other ledger account
+    await mongoose.connection.transaction(async (session) => {
+      await user.save({ session });
+      await ledger.reclassifyWallet(user._id, session);
+    });
+    await sessions.closeAllSessions(user._id, 'role_changed');
+
+    res.json({
+      message: `${user.username} is now ${role}`,
+      user: {
+        _id: user._id,
+        username: user.username,
+        previousRole,
+        role: user.role,
+        permissions: user.permissions
+      }
+    });
+  } catch (error) {
+    console.error('Error changing role:', error);
+    res.status(500).json({ error: 'Error changing role' });
+  }
+});
+
+/**
+ * Check every wallet against the sum of its ledger postings (Super Admin only)
+ * GET /api/admin-management/reconcile
+ */
+router.get('/reconcile', requirePermission('ledger:reconcile'), async (req, res) => {
+  try {
+    const report = await ledger.reconcile();
+    res.json(report);
+  } catch (error) {
+    console.error('Error reconciling wallets:', error);
+    res.status(500).json({ error: 'Error reconciling wallets' });
+  }
+});
+
+/**
+ * Runs a reconciliation and logs every wallet that differs from the ledger
+ */
+async function runReconcileJob() {
+  const report = await ledger.reconcile();
+  report.mismatches.forEach(mismatch => {
+    console.warn(
+      `Wallet of ${mismatch.username} (${mismatch.userId}) is ${mismatch.wallet} Birr, ` +
+      `ledger says ${mismatch.ledgerBalance} Birr`
+    );
+  });
+}
+
+/**
+ * Opens ledger accounts for wallets older than the ledger, then reconciles
+ * every wallet periodically
+ */
+function startReconcileJob() {
+  ledger.openWalletAccounts()
+    .then(opened => {
+      if (opened > 0) {
+        console.log(`Opened ledger accounts for ${opened} existing wallets`);
+      }
+      return runReconcileJob();
+    })
+    .catch(error => console.error('Error opening ledger accounts:', error));
+
+  setInterval(() => {
+    runReconcileJob().catch(error => console.error('Error reconciling wallets:', error));
+  }, RECONCILE_INTERVAL_MS);
+}
+
+module.exports = { router, setSocketIO, startReconcileJob };
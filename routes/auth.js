@@ -1,15 +1,51 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const WalletTransaction = require('../models/WalletTransaction');
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const responsibleGaming = require('../services/responsibleGaming');
+const sessions = require('../services/sessions');
+const passwordReset = require('../services/passwordReset');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { limitRequests, createFailureGuard, sendTooManyRequests } = require('../services/rateLimit');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Wrong passwords lock the account quickly and the IP (which may be shared) later
+const loginGuard = createFailureGuard('login', {
+  ip: { maxFailures: 20, windowMs: 15 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS, maxLockoutMs: DAY_MS },
+  account: { maxFailures: 5, windowMs: 15 * MINUTE_MS, lockoutMs: 5 * MINUTE_MS, maxLockoutMs: DAY_MS }
+});
+// Wrong current passwords when changing it
+const passwordChangeGuard = createFailureGuard('password-change', {
+  account: { maxFailures: 5, windowMs: 15 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS, maxLockoutMs: DAY_MS }
+});
+// Wrong reset codes (each code also dies after a few wrong guesses)
+const resetCodeGuard = createFailureGuard('reset-code', {
+  ip: { maxFailures: 10, windowMs: 15 * MINUTE_MS, lockoutMs: 15 * MINUTE_MS, maxLockoutMs: DAY_MS }
+});
+
+// Answers 429 if any of the subjects is locked out by the guard
+async function rejectIfLockedOut(guard, subjects, res, message) {
+  const retryAfter = await guard.retryAfter(subjects);
+  if (retryAfter > 0) {
+    sendTooManyRequests(res, retryAfter, message);
+    return true;
+  }
+  return false;
+}
 
 // Register new user
-router.post('/register', async (req, res) => {
+router.post('/register', limitRequests('auth'), async (req, res) => {
   try {
     const { username, password } = req.body;
+
+    const passwordError = validatePassword(password, username);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
     
     // Check if user exists
     const existingUser = await User.findOne({ username });
@@ -21,23 +57,27 @@ router.post('/register', async (req, res) => {
     const user = new User({
       username,
       password,
-      isAdmin: false
+      role: 'player'
     });
     await user.save();
 
-    // Generate token
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
+    // Start a session (short-lived access token + refresh token)
+    const tokens = await sessions.startSession(user, req);
 
     // Convert gameCredits Map to plain object
     const gameCredits = user.gameCredits ? Object.fromEntries(user.gameCredits) : {};
 
     res.status(201).json({
-      token,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
       user: {
         id: user._id,
         username: user.username,
-        isAdmin: user.isAdmin || false,
-        isSuperAdmin: user.isSuperAdmin || false,
+        role: user.role,
+        permissions: user.permissions,
+        isAdmin: user.isAdmin,
+        isSuperAdmin: user.isSuperAdmin,
         credits: user.credits || 0,
         wallet: user.wallet || 0,
         gameCredits: gameCredits,
@@ -50,33 +90,40 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', limitRequests('auth'), async (req, res) => {
   try {
     const { username, password } = req.body;
     // console.log(req.body)
+    const attempt = { ip: req.ip, account: typeof username === 'string' ? username : undefined };
+
+    if (await rejectIfLockedOut(loginGuard, attempt, res, 'Too many failed login attempts, please try again later')) {
+      return;
+    }
     
     const user = await User.findOne({ username });
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
-    const isValidPassword = await user.comparePassword(password);
+    const isValidPassword = user && typeof password === 'string' && await user.comparePassword(password);
     if (!isValidPassword) {
+      await loginGuard.recordFailure(attempt);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
+    await loginGuard.recordSuccess(attempt);
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
+    const tokens = await sessions.startSession(user, req);
 
     // Convert gameCredits Map to plain object
     const gameCredits = user.gameCredits ? Object.fromEntries(user.gameCredits) : {};
 
     res.json({
-      token,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
       user: {
         id: user._id,
         username: user.username,
+        role: user.role,
+        permissions: user.permissions,
         isAdmin: user.isAdmin,
-        isSuperAdmin: user.isSuperAdmin || false,
+        isSuperAdmin: user.isSuperAdmin,
         credits: user.credits || 0,
         wallet: user.wallet || 0,
         gameCredits: gameCredits,
@@ -88,6 +135,124 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Trade a refresh token for a new access token (the refresh token is replaced too)
+router.post('/refresh', limitRequests('auth'), async (req, res) => {
+  try {
+    const result = await sessions.refreshSession(req.body.refreshToken);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ error: 'Error refreshing session' });
+  }
+});
+
+// Log out of this device
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await sessions.revokeSession(req.sessionId, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Error logging out' });
+  }
+});
+
+// Log out of all devices
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await sessions.revokeAllSessions(req.user._id, 'logout_all');
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error('Error logging out of all devices:', error);
+    res.status(500).json({ error: 'Error logging out of all devices' });
+  }
+});
+
+// Change password (ends every session, including this one, and starts a new one)
+router.post('/change-password', auth, limitRequests('password'), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const attempt = { account: req.user._id };
+
+    if (await rejectIfLockedOut(passwordChangeGuard, attempt, res, 'Too many failed attempts, please try again later')) {
+      return;
+    }
+
+    const passwordError = validatePassword(newPassword, req.user.username);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const isValidPassword = typeof currentPassword === 'string' && await req.user.comparePassword(currentPassword);
+    if (!isValidPassword) {
+      await passwordChangeGuard.recordFailure(attempt);
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    await passwordChangeGuard.recordSuccess(attempt);
+
+    if (await req.user.comparePassword(newPassword)) {
+      return res.status(400).json({ error: 'New password must be different from the current one' });
+    }
+
+    // Saving a new password bumps tokenVersion, which kills every access token
+    req.user.password = newPassword;
+    await req.user.save();
+    await sessions.closeAllSessions(req.user._id, 'password_changed');
+
+    const tokens = await sessions.startSession(req.user, req);
+
+    res.json({
+      message: 'Password changed, other devices have been logged out',
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Error changing password' });
+  }
+});
+
+// Set a new password with a one-time reset code issued by an admin
+router.post('/reset-password', limitRequests('password'), async (req, res) => {
+  try {
+    const { username, code, newPassword } = req.body;
+    const attempt = { ip: req.ip };
+
+    if (await rejectIfLockedOut(resetCodeGuard, attempt, res, 'Too many failed attempts, please try again later')) {
+      return;
+    }
+
+    const passwordError = validatePassword(newPassword, username);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const result = await passwordReset.redeemResetCode(username, code);
+    if (result.error) {
+      await resetCodeGuard.recordFailure(attempt);
+      return res.status(400).json({ error: result.error });
+    }
+
+    result.user.password = newPassword;
+    await result.user.save();
+    await sessions.closeAllSessions(result.user._id, 'password_reset');
+
+    res.json({ message: 'Password reset, please log in with your new password' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Error resetting password' });
+  }
+});
+
 // Get current user data
 router.get('/me', auth, async (req, res) => {
   try {
@@ -102,8 +267,10 @@ router.get('/me', auth, async (req, res) => {
     res.json({
       id: user._id,
       username: user.username,
+      role: user.role,
+      permissions: user.permissions,
       isAdmin: user.isAdmin,
-      isSuperAdmin: user.isSuperAdmin || false,
+      isSuperAdmin: user.isSuperAdmin,
       credits: user.credits || 0,
       wallet: user.wallet || 0,
       gameCredits: gameCredits,
@@ -114,15 +281,10 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
-// Get all users (admin only)
-router.get('/users', auth, async (req, res) => {
+// Get all users (staff who may view players)
+router.get('/users', requirePermission('player:view'), async (req, res) => {
   try {
-    const user = await User.findById(req.userId);
-    if (!user.isAdmin) {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-
-    const users = await User.find({}, 'username isAdmin createdAt')
+    const users = await User.find({}, 'username role createdAt')
       .sort({ createdAt: -1 });
 
     res.json(users);
@@ -155,4 +317,87 @@ router.get('/my-wallet-history', auth, async (req, res) => {
   }
 });
 
+// Get current user's responsible gaming limits, usage, cool-off and self-exclusion
+router.get('/responsible-gaming', auth, async (req, res) => {
+  try {
+    if (responsibleGaming.activatePendingLimits(req.user)) {
+      await req.user.save();
+    }
+
+    res.json(await responsibleGaming.getOverview(req.user));
+  } catch (error) {
+    console.error('Error fetching responsible gaming settings:', error);
+    res.status(500).json({ error: 'Error fetching responsible gaming settings' });
+  }
+});
+
+// Set current user's limits (a number, or null to remove one)
+// Tighter limits apply at once, looser ones after a waiting period
+router.put('/responsible-gaming/limits', auth, async (req, res) => {
+  try {
+    const changes = req.body.limits;
+    const validationError = responsibleGaming.validateLimitChanges(changes);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    responsibleGaming.changeLimits(req.user, changes);
+    await req.user.save();
+
+    res.json({
+      message: 'Limits updated',
+      ...(await responsibleGaming.getOverview(req.user))
+    });
+  } catch (error) {
+    console.error('Error updating responsible gaming limits:', error);
+    res.status(500).json({ error: 'Error updating responsible gaming limits' });
+  }
+});
+
+// Take a cool-off break from playing and depositing (can't be shortened)
+router.post('/responsible-gaming/cool-off', auth, async (req, res) => {
+  try {
+    const { hours } = req.body;
+    const { min, max } = responsibleGaming.COOL_OFF_HOURS;
+
+    if (!Number.isInteger(hours) || hours < min || hours > max) {
+      return res.status(400).json({ error: `Cool-off must be between ${min} and ${max} hours` });
+    }
+
+    responsibleGaming.startCoolOff(req.user, hours);
+    await req.user.save();
+
+    res.json({
+      message: 'Cool-off started',
+      coolOffUntil: req.user.responsibleGaming.coolOffUntil
+    });
+  } catch (error) {
+    console.error('Error starting cool-off:', error);
+    res.status(500).json({ error: 'Error starting cool-off' });
+  }
+});
+
+// Exclude yourself from playing and depositing (can't be shortened)
+router.post('/responsible-gaming/self-exclusion', auth, async (req, res) => {
+  try {
+    const { days } = req.body;
+    const { min, max } = responsibleGaming.SELF_EXCLUSION_DAYS;
+
+    if (!Number.isInteger(days) || days < min || days > max) {
+      return res.status(400).json({ error: `Self-exclusion must be between ${min} and ${max} days` });
+    }
+
+    responsibleGaming.selfExclude(req.user, days);
+    await req.user.save();
+
+    res.json({
+      message: 'Self-exclusion started',
+      selfExcludedUntil: req.user.responsibleGaming.selfExcludedUntil
+    });
+  } catch (error) {
+    console.error('Error starting self-exclusion:', error);
+    res.status(500).json({ error: 'Error starting self-exclusion' });
+  }
+});
+
 module.exports = router;
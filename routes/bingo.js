@@ -1,9 +1,26 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
 const BingoGameSession = require('../models/BingoGameSession');
-const Counter = require('../models/Counter');
-const WalletTransaction = require('../models/WalletTransaction');
+const WinningPattern = require('../models/WinningPattern');
+const Jackpot = require('../models/Jackpot');
+const { createCallScheduler } = require('../utils/callScheduler');
+const { settleGame, cancelGame, endUnfinishedGame, leaveGame } = require('../services/gameSettlement');
+const ledger = require('../services/ledger');
+const responsibleGaming = require('../services/responsibleGaming');
+const { validateGameSettings, createBingoGame } = require('../services/bingoGameFactory');
+const { BUILT_IN_PATTERN_NAMES, PATTERN_PRESETS, validateMasks } = require('../utils/winningPatterns');
+const { userRoom, adminRoom, emitWalletUpdated } = require('../utils/socketRooms');
+const { limitRequests, createFailureGuard, sendTooManyRequests } = require('../services/rateLimit');
+
+// Game PINs are only 4 digits, so wrong ones lock out the player and the IP
+const PIN_LOCKOUT_MS = 15 * 60 * 1000;
+const pinGuard = createFailureGuard('game-pin', {
+  ip: { maxFailures: 10, windowMs: 15 * 60 * 1000, lockoutMs: PIN_LOCKOUT_MS, maxLockoutMs: 24 * 60 * 60 * 1000 },
+  account: { maxFailures: 5, windowMs: 15 * 60 * 1000, lockoutMs: PIN_LOCKOUT_MS, maxLockoutMs: 24 * 60 * 60 * 1000 }
+});
 
 // Socket.io instance will be set from server.js
 let io;
@@ -12,79 +29,26 @@ const setSocketIO = (socketIO) => {
   io = socketIO;
 };
 
-// Store intervals for auto-calling numbers
-const autoCallIntervals = new Map();
-
 // ============= ADMIN ENDPOINTS =============
 
 /**
  * Create new BINGO game (admin only)
  * POST /api/bingo/create
  */
-router.post('/create', adminAuth, async (req, res) => {
+router.post('/create', requirePermission('game:create'), async (req, res) => {
   try {
-    const { maxPlayers, winningPattern, autoCallInterval, markingMode, gameCost, profitPercentage, playerEntryFee } = req.body;
-
-    // Validate inputs
-    if (!maxPlayers || maxPlayers < 2 || maxPlayers > 50) {
-      return res.status(400).json({ error: 'maxPlayers must be between 2 and 50' });
-    }
+    const { gameCost } = req.body;
 
-    const validPatterns = ['any-line', 'horizontal', 'vertical', 'diagonal', 'four-corners', 'full-house'];
-    if (winningPattern && !validPatterns.includes(winningPattern)) {
-      return res.status(400).json({ error: 'Invalid winning pattern' });
+    const { error, settings } = await validateGameSettings(req.body);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    const validMarkingModes = ['auto', 'manual'];
-    if (markingMode && !validMarkingModes.includes(markingMode)) {
-      return res.status(400).json({ error: 'Invalid marking mode' });
+    const created = await createBingoGame(req.user, settings, gameCost);
+    if (created.error) {
+      return res.status(403).json({ error: created.error });
     }
-
-    // Get game cost from admin's gameCredits configuration (set by superadmin)
-    const configuredGameCost = req.user.gameCredits?.get('number-bingo');
-    const finalGameCost = configuredGameCost !== undefined ? configuredGameCost : (gameCost || 2);
-    const finalProfitPercentage = profitPercentage !== undefined ? profitPercentage : 10;
-    const finalPlayerEntryFee = playerEntryFee !== undefined ? playerEntryFee : 10;
-
-    // Check if admin has enough credits (skip for super admin)
-    if (!req.user.isSuperAdmin) {
-      if (req.user.credits < finalGameCost) {
-        return res.status(403).json({
-          error: `Insufficient credits. You need ${finalGameCost} credits to create this game. Current balance: ${req.user.credits}`
-        });
-      }
-
-      // Deduct credits
-      req.user.credits -= finalGameCost;
-      await req.user.save();
-    }
-
-    // Get the next game ID
-    const gameIdNum = await Counter.getNextSequence('bingoGameId');
-    const gameId = `BG${gameIdNum}`;
-
-    // Generate 4-digit PIN
-    const gamePin = Math.floor(1000 + Math.random() * 9000).toString();
-
-    const game = new BingoGameSession({
-      gameId,
-      gamePin,
-      maxPlayers,
-      winningPattern: winningPattern || 'any-line',
-      autoCallInterval: autoCallInterval || 3000,
-      markingMode: markingMode || 'auto',
-      gameCost: finalGameCost,
-      profitPercentage: finalProfitPercentage,
-      playerEntryFee: finalPlayerEntryFee,
-      status: 'preparing',
-      players: [],
-      bingoCards: [],
-      calledNumbers: [],
-      winners: [],
-      createdBy: req.user._id
-    });
-
-    await game.save();
+    const { game } = created;
 
     res.status(201).json({
       message: 'BINGO game created successfully',
@@ -93,15 +57,24 @@ router.post('/create', adminAuth, async (req, res) => {
         gameId: game.gameId,
         gamePin: game.gamePin,
         maxPlayers: game.maxPlayers,
+        maxCardsPerPlayer: game.maxCardsPerPlayer,
+        deckSize: game.deckSize,
         winningPattern: game.winningPattern,
+        prizeStages: game.prizeStages.map(stage => ({
+          pattern: stage.pattern,
+          sharePercentage: stage.sharePercentage
+        })),
         autoCallInterval: game.autoCallInterval,
         markingMode: game.markingMode,
+        claimRules: game.claimRules,
+        readyTimeoutMinutes: game.readyTimeoutMinutes,
+        startPolicy: game.startPolicy,
         gameCost: game.gameCost,
         profitPercentage: game.profitPercentage,
         playerEntryFee: game.playerEntryFee,
         status: game.status
       },
-      creditsRemaining: req.user.credits
+      creditsRemaining: created.creditsRemaining
     });
   } catch (error) {
     console.error('Error creating BINGO game:', error);
@@ -109,11 +82,172 @@ router.post('/create', adminAuth, async (req, res) => {
   }
 });
 
+/**
+ * List winning patterns: built-in, designer presets and saved custom patterns (admin only)
+ * GET /api/bingo/patterns
+ */
+router.get('/patterns', requirePermission('game:create'), async (req, res) => {
+  try {
+    const savedPatterns = await WinningPattern.find()
+      .populate('createdBy', 'username')
+      .sort({ name: 1 });
+
+    res.json({
+      builtIn: BUILT_IN_PATTERN_NAMES,
+      presets: PATTERN_PRESETS,
+      custom: savedPatterns.map(pattern => ({
+        _id: pattern._id,
+        name: pattern.name,
+        description: pattern.description,
+        masks: pattern.masks,
+        createdBy: pattern.createdBy ? pattern.createdBy.username : null,
+        createdAt: pattern.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching winning patterns:', error);
+    res.status(500).json({ error: 'Error fetching winning patterns' });
+  }
+});
+
+/**
+ * Save a custom winning pattern made of 5x5 masks (admin only)
+ * POST /api/bingo/patterns
+ */
+router.post('/patterns', requirePermission('game:create'), async (req, res) => {
+  try {
+    const { name, description, masks } = req.body;
+
+    if (!name || typeof name !== 'string' || !/^[a-z0-9-]{2,40}$/.test(name.trim().toLowerCase())) {
+      return res.status(400).json({ error: 'Name must be 2-40 letters, digits or dashes' });
+    }
+
+    const patternName = name.trim().toLowerCase();
+    if (BUILT_IN_PATTERN_NAMES.includes(patternName)) {
+      return res.status(400).json({ error: 'Name is reserved for a built-in pattern' });
+    }
+
+    const masksError = validateMasks(masks);
+    if (masksError) {
+      return res.status(400).json({ error: masksError });
+    }
+
+    const existingPattern = await WinningPattern.findOne({ name: patternName });
+    if (existingPattern) {
+      return res.status(400).json({ error: 'A pattern with this name already exists' });
+    }
+
+    const pattern = await WinningPattern.create({
+      name: patternName,
+      description: description || '',
+      masks,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Winning pattern saved successfully',
+      pattern: {
+        _id: pattern._id,
+        name: pattern.name,
+        description: pattern.description,
+        masks: pattern.masks
+      }
+    });
+  } catch (error) {
+    console.error('Error saving winning pattern:', error);
+    res.status(500).json({ error: 'Error saving winning pattern' });
+  }
+});
+
+/**
+ * Delete a custom winning pattern (creator or super admin only)
+ * Games already created keep their own copy of the masks.
+ * DELETE /api/bingo/patterns/:name
+ */
+router.delete('/patterns/:name', requirePermission('game:create'), async (req, res) => {
+  try {
+    const pattern = await WinningPattern.findOne({ name: req.params.name.toLowerCase() });
+
+    if (!pattern) {
+      return res.status(404).json({ error: 'Pattern not found' });
+    }
+
+    if (!hasPermission(req.user, 'game:manage-any') && !pattern.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ error: 'You can only delete patterns you created' });
+    }
+
+    await pattern.deleteOne();
+
+    res.json({ message: 'Winning pattern deleted successfully', name: pattern.name });
+  } catch (error) {
+    console.error('Error deleting winning pattern:', error);
+    res.status(500).json({ error: 'Error deleting winning pattern' });
+  }
+});
+
+/**
+ * List jackpot pools: the global pool and the admin's own (every pool for a super admin)
+ * GET /api/bingo/jackpots
+ */
+router.get('/jackpots', requirePermission('jackpot:manage'), async (req, res) => {
+  try {
+    const filter = hasPermission(req.user, 'jackpot:global') ? {} : { $or: [{ scope: 'global' }, { owner: req.user._id }] };
+    const jackpots = await Jackpot.find(filter).populate('owner', 'username');
+
+    res.json({ jackpots });
+  } catch (error) {
+    console.error('Error fetching jackpots:', error);
+    res.status(500).json({ error: 'Error fetching jackpots' });
+  }
+});
+
+/**
+ * Configure a jackpot pool (global: super admin only, admin: the admin's own pool)
+ * Games keep the settings they were created with.
+ * PUT /api/bingo/jackpots/:scope
+ */
+router.put('/jackpots/:scope(global|admin)', requirePermission('jackpot:manage'), async (req, res) => {
+  try {
+    const { contributionPercentage, maxCalls } = req.body;
+    const { scope } = req.params;
+
+    if (scope === 'global' && !hasPermission(req.user, 'jackpot:global')) {
+      return res.status(403).json({ error: 'Super admin access required' });
+    }
+
+    if (contributionPercentage !== undefined &&
+        (typeof contributionPercentage !== 'number' || contributionPercentage < 1 || contributionPercentage > 20)) {
+      return res.status(400).json({ error: 'contributionPercentage must be between 1 and 20' });
+    }
+
+    if (maxCalls !== undefined && (!Number.isInteger(maxCalls) || maxCalls < 24 || maxCalls > 75)) {
+      return res.status(400).json({ error: 'maxCalls must be between 24 and 75' });
+    }
+
+    const jackpot = await Jackpot.findOrCreate(scope, req.user._id);
+    if (contributionPercentage !== undefined) {
+      jackpot.contributionPercentage = contributionPercentage;
+    }
+    if (maxCalls !== undefined) {
+      jackpot.maxCalls = maxCalls;
+    }
+    await jackpot.save();
+
+    res.json({
+      message: 'Jackpot updated successfully',
+      jackpot
+    });
+  } catch (error) {
+    console.error('Error updating jackpot:', error);
+    res.status(500).json({ error: 'Error updating jackpot' });
+  }
+});
+
 /**
  * Prepare game for players (admin only)
  * POST /api/bingo/games/:gameId/prepare
  */
-router.post('/games/:gameId/prepare', adminAuth, async (req, res) => {
+router.post('/games/:gameId/prepare', requirePermission('game:host'), async (req, res) => {
   try {
     const game = await BingoGameSession.findOne({ gameId: req.params.gameId });
 
@@ -125,22 +259,13 @@ router.post('/games/:gameId/prepare', adminAuth, async (req, res) => {
       return res.status(400).json({ error: 'Game is not in preparing state' });
     }
 
-    game.status = 'ready';
-    game.initializeAvailableCards(100);
-    await game.save();
-
-    // Notify all clients via WebSocket
-    if (io) {
-      io.emit('bingoGameReady', {
-        gameId: game.gameId,
-        maxPlayers: game.maxPlayers,
-        winningPattern: game.winningPattern
-      });
-    }
+    await prepareGame(game);
 
     res.json({
       message: 'Game is now ready for players to join',
-      gameId: game.gameId
+      gameId: game.gameId,
+      readyExpiresAt: game.readyExpiresAt,
+      startPolicy: game.startPolicy
     });
   } catch (error) {
     console.error('Error preparing game:', error);
@@ -152,7 +277,7 @@ router.post('/games/:gameId/prepare', adminAuth, async (req, res) => {
  * Start game (admin only)
  * POST /api/bingo/games/:gameId/start
  */
-router.post('/games/:gameId/start', adminAuth, async (req, res) => {
+router.post('/games/:gameId/start', requirePermission('game:host'), async (req, res) => {
   try {
     const game = await BingoGameSession.findOne({ gameId: req.params.gameId });
 
@@ -164,47 +289,21 @@ router.post('/games/:gameId/start', adminAuth, async (req, res) => {
       return res.status(400).json({ error: 'Game is not ready to start' });
     }
 
-    // if (game.players.length < 2) {
-    //   return res.status(400).json({ error: 'At least 2 players must join' });
-    // }
-    if (game.players.length < game.maxPlayers) {
-      return res.status(400).json({
-        error: `Game must be full to start. ${game.players.length}/${game.maxPlayers} players joined.`
-      });
-    }
-
-    // Check that all players have selected their cards
-    const playersWithCards = game.bingoCards.map(card => card.player.toString());
-    const playersWithoutCards = game.players.filter(
-      playerId => !playersWithCards.includes(playerId.toString())
-    );
-
-    if (playersWithoutCards.length > 0) {
-      return res.status(400).json({
-        error: `Cannot start: ${playersWithoutCards.length} player(s) have not selected their card yet. All players must select a card before starting.`
-      });
+    // Minimum players (a full table by default) and a card for everyone
+    const startBlock = game.getStartBlock();
+    if (startBlock) {
+      return res.status(400).json({ error: startBlock });
     }
 
-    // Start the game
-    game.status = 'active';
-    game.startedAt = new Date();
-    await game.save();
-
-    // Start auto-calling numbers
-    startAutoCallNumbers(game.gameId, game.autoCallInterval);
-
-    // Notify all clients
-    if (io) {
-      io.to(`game-${game.gameId}`).emit('bingoGameStarted', {
-        gameId: game.gameId,
-        autoCallInterval: game.autoCallInterval,
-        startedAt: game.startedAt
-      });
+    const startedGame = await startGame(game);
+    if (!startedGame) {
+      return res.status(409).json({ error: 'Game has already been started' });
     }
 
     res.json({
       message: 'Game started successfully',
-      gameId: game.gameId
+      gameId: game.gameId,
+      drawCommitment: startedGame.fairness.commitment
     });
   } catch (error) {
     console.error('Error starting game:', error);
@@ -216,7 +315,7 @@ router.post('/games/:gameId/start', adminAuth, async (req, res) => {
  * Pause game (admin only)
  * POST /api/bingo/games/:gameId/pause
  */
-router.post('/games/:gameId/pause', adminAuth, async (req, res) => {
+router.post('/games/:gameId/pause', requirePermission('game:host'), async (req, res) => {
   try {
     const game = await BingoGameSession.findOne({ gameId: req.params.gameId });
 
@@ -230,6 +329,7 @@ router.post('/games/:gameId/pause', adminAuth, async (req, res) => {
 
     // Pause the game
     game.status = 'paused';
+    game.pausedAt = new Date();
     await game.save();
 
     // Stop auto-calling
@@ -256,7 +356,7 @@ router.post('/games/:gameId/pause', adminAuth, async (req, res) => {
  * Resume game (admin only)
  * POST /api/bingo/games/:gameId/resume
  */
-router.post('/games/:gameId/resume', adminAuth, async (req, res) => {
+router.post('/games/:gameId/resume', requirePermission('game:host'), async (req, res) => {
   try {
     const game = await BingoGameSession.findOne({ gameId: req.params.gameId });
 
@@ -270,10 +370,11 @@ router.post('/games/:gameId/resume', adminAuth, async (req, res) => {
 
     // Resume the game
     game.status = 'active';
+    game.pausedAt = undefined;
     await game.save();
 
     // Restart auto-calling
-    startAutoCallNumbers(game.gameId, game.autoCallInterval);
+    await startAutoCallNumbers(game.gameId, game.autoCallInterval);
 
     // Notify all clients
     if (io) {
@@ -296,9 +397,10 @@ router.post('/games/:gameId/resume', adminAuth, async (req, res) => {
  * Manually call next number (admin only)
  * POST /api/bingo/games/:gameId/call-number
  */
-router.post('/games/:gameId/call-number', adminAuth, async (req, res) => {
+router.post('/games/:gameId/call-number', requirePermission('game:host'), async (req, res) => {
   try {
     const game = await BingoGameSession.findOne({ gameId: req.params.gameId })
+      .select('+fairness.serverSeed')
       .populate('winners.player', 'username');
 
     if (!game) {
@@ -318,58 +420,19 @@ router.post('/games/:gameId/call-number', adminAuth, async (req, res) => {
 
     // Check for winners
     const newWinners = game.checkForWinners();
+    let payouts = null;
 
     if (newWinners.length > 0) {
-      newWinners.forEach(winner => game.winners.push(winner));
-      game.status = 'completed';
-      game.completedAt = new Date();
-
-      // Calculate and distribute winnings
-      const totalPot = game.players.length * game.playerEntryFee;
-      const profitAmount = (totalPot * game.profitPercentage) / 100;
-      const prizePool = totalPot - profitAmount;
-      const winningAmountPerWinner = prizePool / newWinners.length;
-
-      const User = require('../models/User');
-
-      // Add winnings to each winner's wallet
-      for (const winner of newWinners) {
-        const winnerUser = await User.findById(winner.player);
-        const balanceBefore = winnerUser.wallet;
-        winnerUser.wallet += winningAmountPerWinner;
-        await winnerUser.save();
-
-        // Record transaction
-        await WalletTransaction.create({
-          user: winner.player,
-          type: 'game_win',
-          amount: winningAmountPerWinner,
-          balanceBefore: balanceBefore,
-          balanceAfter: winnerUser.wallet,
-          gameId: game.gameId,
-          description: `Won game ${game.gameId} - Prize ${winningAmountPerWinner.toFixed(2)} Birr`
-        });
+      // Record the winners and pay out the prize in a single transaction
+      payouts = await settleGame(game, newWinners);
+      if (!payouts) {
+        return res.status(409).json({ error: 'This prize has already been paid' });
       }
 
-      // Add profit to admin's wallet
-      const adminUser = await User.findById(game.createdBy);
-      const adminBalanceBefore = adminUser.wallet;
-      adminUser.wallet += profitAmount;
-      await adminUser.save();
-
-      // Record admin profit transaction
-      await WalletTransaction.create({
-        user: game.createdBy,
-        type: 'game_profit',
-        amount: profitAmount,
-        balanceBefore: adminBalanceBefore,
-        balanceAfter: adminUser.wallet,
-        gameId: game.gameId,
-        description: `Profit from game ${game.gameId} - ${profitAmount.toFixed(2)} Birr`
-      });
-
-      // Stop auto-calling
-      stopAutoCallNumbers(game.gameId);
+      // Stop auto-calling once the last prize is won
+      if (game.status === 'completed') {
+        stopAutoCallNumbers(game.gameId);
+      }
     }
 
     await game.save();
@@ -384,26 +447,8 @@ router.post('/games/:gameId/call-number', adminAuth, async (req, res) => {
       });
 
       // If there are winners, notify
-      if (newWinners.length > 0) {
-        const populatedGame = await BingoGameSession.findOne({ gameId: game.gameId })
-          .populate('winners.player', 'username');
-
-          io.to(`game-${game.gameId}`).emit('bingoWinner', {
-            gameId: game.gameId,
-            winners: populatedGame.winners.map(w => {
-              return {
-                player: {
-                  _id: w.player._id,
-                  username: w.player.username
-                },
-                cardNumber: w.cardNumber,
-                pattern: w.pattern,
-                completedAt: w.completedAt,
-                winningCard: w.winningCard,
-                markedCells: w.markedCells
-              };
-            })
-          });
+      if (payouts) {
+        await emitBingoWinners(game, payouts);
       }
     }
 
@@ -422,9 +467,12 @@ router.post('/games/:gameId/call-number', adminAuth, async (req, res) => {
 
 /**
  * Stop/complete game (admin only)
+ * What the escrow still holds goes back to the players: a game without
+ * winners is cancelled and fully refunded, otherwise the unplayed prizes are
+ * refunded in proportion to what each player paid.
  * POST /api/bingo/games/:gameId/stop
  */
-router.post('/games/:gameId/stop', adminAuth, async (req, res) => {
+router.post('/games/:gameId/stop', requirePermission('game:host'), async (req, res) => {
   try {
     const game = await BingoGameSession.findOne({ gameId: req.params.gameId });
 
@@ -432,22 +480,20 @@ router.post('/games/:gameId/stop', adminAuth, async (req, res) => {
       return res.status(404).json({ error: 'Game not found' });
     }
 
-    // Stop the game
-    stopAutoCallNumbers(game.gameId);
-    game.status = 'completed';
-    game.completedAt = new Date();
-    await game.save();
+    if (game.status === 'completed' || game.status === 'cancelled') {
+      return res.status(400).json({ error: `Game is already ${game.status}` });
+    }
 
-    // Notify all clients
-    if (io) {
-      io.to(`game-${game.gameId}`).emit('bingoGameStopped', {
-        gameId: game.gameId
-      });
+    const result = await endAndRefund(game, `Stopped by ${req.user.username}`, 'bingoGameStopped');
+    if (!result) {
+      return res.status(409).json({ error: 'Game finished or was cancelled while processing' });
     }
 
     res.json({
-      message: 'Game stopped successfully',
-      gameId: game.gameId
+      message: result.cancelled ? 'Game stopped and entry fees refunded' : 'Game stopped and unplayed prizes refunded',
+      gameId: game.gameId,
+      playersRefunded: result.refunds.length,
+      totalRefunded: result.refunds.reduce((sum, refund) => sum + refund.amount, 0)
     });
   } catch (error) {
     console.error('Error stopping game:', error);
@@ -455,6 +501,50 @@ router.post('/games/:gameId/stop', adminAuth, async (req, res) => {
   }
 });
 
+/**
+ * Cancel game and refund every player's entry fees (creator or super admin only)
+ * Only possible before any prize has been paid.
+ * POST /api/bingo/games/:gameId/cancel
+ */
+router.post('/games/:gameId/cancel', requirePermission('game:host'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const game = await BingoGameSession.findOne({ gameId: req.params.gameId });
+
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    if (!hasPermission(req.user, 'game:manage-any') && !game.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ error: 'You can only cancel games you created' });
+    }
+
+    if (game.status === 'completed' || game.status === 'cancelled') {
+      return res.status(400).json({ error: `Game is already ${game.status}` });
+    }
+
+    if (game.winners.length > 0) {
+      return res.status(400).json({ error: 'A prize has already been paid, stop the game instead' });
+    }
+
+    const result = await cancelAndRefund(game, reason || `Cancelled by ${req.user.username}`);
+    if (!result) {
+      return res.status(409).json({ error: 'Game finished or was cancelled while processing' });
+    }
+
+    res.json({
+      message: 'Game cancelled and entry fees refunded',
+      gameId: game.gameId,
+      playersRefunded: result.refunds.length,
+      totalRefunded: result.refunds.reduce((sum, refund) => sum + refund.amount, 0),
+      gameCostRefunded: result.gameCostRefunded
+    });
+  } catch (error) {
+    console.error('Error cancelling game:', error);
+    res.status(500).json({ error: 'Error cancelling game' });
+  }
+});
+
 // ============= PLAYER ENDPOINTS =============
 
 /**
@@ -487,7 +577,8 @@ router.get('/games', auth, async (req, res) => {
         _id: p._id,
         username: p.username
       })),
-      bingoCards: game.bingoCards || []
+      // Only the caller's own cards, other players' cards stay private
+      bingoCards: (game.bingoCards || []).filter(card => card.player.equals(req.user._id))
     }));
 
     res.json(gamesData);
@@ -528,7 +619,8 @@ router.get('/games/:gameId', auth, async (req, res) => {
         },
         cardNumber: w.cardNumber,
         pattern: w.pattern,
-        completedAt: w.completedAt
+        completedAt: w.completedAt,
+        stage: w.stage
       }))
     });
   } catch (error) {
@@ -537,13 +629,86 @@ router.get('/games/:gameId', auth, async (req, res) => {
   }
 });
 
+/**
+ * Verify the number draw of a finished game (public, no login needed)
+ * Checks the revealed seed against the commitment published at start and
+ * replays every call from it.
+ * GET /api/bingo/games/:gameId/verify
+ */
+router.get('/games/:gameId/verify', async (req, res) => {
+  try {
+    const game = await BingoGameSession.findOne({ gameId: req.params.gameId });
+
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    if (!game.fairness || !game.fairness.commitment) {
+      return res.status(400).json({ error: 'This game was not played with a committed draw seed' });
+    }
+
+    const report = game.verifyDraws();
+    if (!report) {
+      return res.status(400).json({
+        error: 'The draw seed is revealed once the game is over',
+        commitment: game.fairness.commitment
+      });
+    }
+
+    res.json({ gameId: game.gameId, ...report, deck: game.verifyDeck() });
+  } catch (error) {
+    console.error('Error verifying draw:', error);
+    res.status(500).json({ error: 'Error verifying draw' });
+  }
+});
+
+/**
+ * Preview a card of the game's deck before picking it
+ * GET /api/bingo/games/:gameId/cards/:cardNumber
+ */
+router.get('/games/:gameId/cards/:cardNumber', auth, async (req, res) => {
+  try {
+    const cardNumber = parseInt(req.params.cardNumber, 10);
+    const game = await BingoGameSession.findOne({ gameId: req.params.gameId })
+      .select('status deckSize deck availableCards');
+
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    if (game.status === 'preparing') {
+      return res.status(400).json({ error: 'Game is not ready yet' });
+    }
+
+    if (!Number.isInteger(cardNumber) || cardNumber < 1 || cardNumber > game.deckSize) {
+      return res.status(400).json({ error: `Card number must be between 1 and ${game.deckSize}` });
+    }
+
+    res.json({
+      cardNumber,
+      grid: game.generateBingoCard(cardNumber),
+      available: game.isCardAvailable(cardNumber)
+    });
+  } catch (error) {
+    console.error('Error fetching card:', error);
+    res.status(500).json({ error: 'Error fetching card' });
+  }
+});
+
 /**
  * Join game
  * POST /api/bingo/games/:gameId/join
  */
-router.post('/games/:gameId/join', auth, async (req, res) => {
+router.post('/games/:gameId/join', auth, limitRequests('gameJoin'), async (req, res) => {
   try {
     const { pin } = req.body;
+    const pinAttempt = { ip: req.ip, account: req.user._id };
+
+    const lockedFor = await pinGuard.retryAfter(pinAttempt);
+    if (lockedFor > 0) {
+      return sendTooManyRequests(res, lockedFor, 'Too many wrong game PINs, please try again later');
+    }
+
     const game = await BingoGameSession.findOne({ gameId: req.params.gameId });
 
     if (!game) {
@@ -552,15 +717,17 @@ router.post('/games/:gameId/join', auth, async (req, res) => {
 
     // Verify PIN
     if (!pin || pin.toString() !== game.gamePin) {
+      await pinGuard.recordFailure(pinAttempt);
       return res.status(403).json({ error: 'Invalid game PIN' });
     }
+    await pinGuard.recordSuccess(pinAttempt);
 
     if (game.status !== 'ready') {
       return res.status(400).json({ error: 'Game is not ready to join' });
     }
 
     if (game.players.length >= game.maxPlayers) {
-      return res.status(400).json({ error: 'Game is full' });
+      return res.status(409).json({ error: 'Game is full' });
     }
 
     if (game.players.some(player => player.equals(req.user._id))) {
@@ -574,45 +741,70 @@ router.post('/games/:gameId/join', auth, async (req, res) => {
       });
     }
 
-    // Deduct entry fee from wallet
-    const balanceBefore = req.user.wallet;
-    req.user.wallet -= game.playerEntryFee;
-    await req.user.save();
+    // The player's own limits, cool-off and self-exclusion
+    const limitError = await responsibleGaming.checkCanJoin(req.user._id, game.playerEntryFee);
+    if (limitError) {
+      return res.status(403).json({ error: limitError });
+    }
 
-    // Record transaction
-    await WalletTransaction.create({
-      user: req.user._id,
-      type: 'game_join',
-      amount: -game.playerEntryFee,
-      balanceBefore: balanceBefore,
-      balanceAfter: req.user.wallet,
-      gameId: game.gameId,
-      description: `Joined game ${game.gameId} - Entry fee ${game.playerEntryFee} Birr`
-    });
+    // Take a seat and move the entry fee from the wallet into the game's escrow in
+    // one transaction, so a seat is never taken without being paid for. The seat
+    // is taken atomically, so simultaneous joins can't push the game past maxPlayers.
+    let joinedGame = null;
+    let charged = null;
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        charged = null;
+        joinedGame = await BingoGameSession.reserveSeat(game.gameId, req.user._id, session);
+        if (!joinedGame) {
+          return;
+        }
 
-    // Add player to game (but don't generate card yet)
-    game.players.push(req.user._id);
-    await game.save();
+        // Throws if the balance no longer covers it, so the seat is given back
+        ({ balances: [charged] } = await ledger.transfer({
+          type: 'game_join',
+          from: ledger.wallet(req.user._id),
+          to: ledger.gameEscrow(game.gameId),
+          amount: game.playerEntryFee,
+          gameId: game.gameId,
+          description: `Joined game ${game.gameId} - Entry fee ${game.playerEntryFee} Birr`
+        }, session));
+      });
+    } catch (error) {
+      if (error.message === ledger.INSUFFICIENT_BALANCE) {
+        return res.status(403).json({ error: 'Insufficient wallet balance' });
+      }
+      throw error;
+    }
 
-    // Notify all clients
+    if (!joinedGame) {
+      return res.status(409).json({ error: 'Game is full or you have already joined' });
+    }
+
+    req.user.wallet = charged.balanceAfter;
+    await responsibleGaming.recordGameJoin(req.user._id);
+
+    // Notify the game room and the admin running it
     if (io) {
       const eventData = {
         gameId: game.gameId,
         playerId: req.user._id,
         playerName: req.user.username,
-        totalPlayers: game.players.length,
+        totalPlayers: joinedGame.players.length,
         maxPlayers: game.maxPlayers
       };
       io.to(`game-${game.gameId}`).emit('playerJoinedBingo', eventData);
-      // Also broadcast globally for admin dashboards
-      io.emit('playerJoinedBingo', eventData);
+      // Also sent to the game admin's dashboard
+      io.to(adminRoom(game.createdBy)).emit('playerJoinedBingo', eventData);
     }
+    emitWalletUpdated(io, req.user._id, charged.balanceAfter);
+    applyStartPolicyInBackground(game.gameId);
 
     res.json({
       message: 'Successfully joined game',
       gameId: game.gameId,
       playerId: req.user._id,
-      availableCards: game.availableCards
+      availableCards: joinedGame.availableCards
     });
   } catch (error) {
     console.error('Error joining game:', error);
@@ -636,10 +828,12 @@ router.post('/games/:gameId/select-card', auth, async (req, res) => {
       return res.status(400).json({ error: 'You have not joined this game' });
     }
 
-    // Check if player already has a card
-    const existingCard = game.getPlayerCard(req.user._id);
-    if (existingCard) {
-      return res.status(400).json({ error: 'You already have a card' });
+    // Check how many cards the player already holds
+    const heldCards = game.getPlayerCards(req.user._id).length;
+    if (heldCards >= game.maxCardsPerPlayer) {
+      return res.status(400).json({
+        error: heldCards === 1 ? 'You already have a card' : `You already have the maximum of ${heldCards} cards`
+      });
     }
 
     // Validate card number
@@ -649,32 +843,68 @@ router.post('/games/:gameId/select-card', auth, async (req, res) => {
 
     // Check if card is available
     if (!game.isCardAvailable(cardNumber)) {
-      return res.status(400).json({
+      return res.status(409).json({
         error: 'Card not available',
         availableCards: game.availableCards
       });
     }
 
-    // Generate and assign card
-    game.addPlayerCard(req.user._id, cardNumber);
-    await game.save();
+    // The join fee covers the first card, every extra card costs another entry fee
+    const isExtraCard = heldCards > 0;
+    if (isExtraCard && req.user.wallet < game.playerEntryFee) {
+      return res.status(403).json({
+        error: `Insufficient wallet balance. Required: ${game.playerEntryFee}, Current balance: ${req.user.wallet}`
+      });
+    }
+
+    // An extra card is another stake, it counts against the loss limits
+    if (isExtraCard) {
+      const limitError = await responsibleGaming.checkCanJoin(req.user._id, game.playerEntryFee);
+      if (limitError) {
+        return res.status(403).json({ error: limitError });
+      }
+    }
+
+    // Generate and assign card atomically (fails if someone took it first)
+    const updatedGame = isExtraCard
+      ? await buyExtraCard(game, req.user, cardNumber, heldCards)
+      : await BingoGameSession.claimCard(game, req.user._id, cardNumber, heldCards);
+    if (!updatedGame) {
+      const latestGame = await BingoGameSession.findOne({ gameId: game.gameId }).select('availableCards');
+      return res.status(409).json({
+        error: 'Card was just taken or your card selection changed',
+        availableCards: latestGame ? latestGame.availableCards : []
+      });
+    }
 
     // Get the player's card
-    const playerCard = game.getPlayerCard(req.user._id);
+    const playerCard = updatedGame.getPlayerCard(req.user._id, cardNumber);
 
-    // Notify all clients that card was selected
+    // Notify the game room that the card was taken
     if (io) {
       const eventData = {
         gameId: game.gameId,
         playerId: req.user._id,
         playerName: req.user.username,
         cardNumber: cardNumber,
-        availableCards: game.availableCards
+        availableCards: updatedGame.availableCards
       };
       io.to(`game-${game.gameId}`).emit('cardSelected', eventData);
-      // Also broadcast globally for admin dashboards
-      io.emit('cardSelected', eventData);
+      // Also sent to the game admin's dashboard
+      io.to(adminRoom(game.createdBy)).emit('cardSelected', eventData);
+
+      // The grid itself only goes to the card's owner
+      io.to(userRoom(req.user._id)).emit('cardAssigned', {
+        gameId: game.gameId,
+        cardNumber: cardNumber,
+        grid: playerCard.grid,
+        marked: playerCard.marked
+      });
     }
+    if (isExtraCard) {
+      emitWalletUpdated(io, req.user._id, req.user.wallet);
+    }
+    applyStartPolicyInBackground(game.gameId);
 
     res.json({
       message: 'Card selected successfully',
@@ -683,7 +913,10 @@ router.post('/games/:gameId/select-card', auth, async (req, res) => {
       card: {
         grid: playerCard.grid,
         marked: playerCard.marked
-      }
+      },
+      cardsHeld: heldCards + 1,
+      maxCardsPerPlayer: game.maxCardsPerPlayer,
+      wallet: req.user.wallet
     });
   } catch (error) {
     console.error('Error selecting card:', error);
@@ -692,20 +925,111 @@ router.post('/games/:gameId/select-card', auth, async (req, res) => {
 });
 
 /**
- * Mark a number on player's card (for manual mode)
- * POST /api/bingo/games/:gameId/mark-number
+ * Assigns an extra card and charges its entry fee in one transaction
+ * Returns the updated game, or null if the card or the balance was gone
  */
-router.post('/games/:gameId/mark-number', auth, async (req, res) => {
+async function buyExtraCard(game, user, cardNumber, heldCards) {
+  let updatedGame = null;
+
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      updatedGame = await BingoGameSession.claimCard(game, user._id, cardNumber, heldCards, session);
+      if (!updatedGame) {
+        return;
+      }
+
+      // Throws if the balance no longer covers it, so the card goes back to availableCards
+      const { balances: [charged] } = await ledger.transfer({
+        type: 'card_purchase',
+        from: ledger.wallet(user._id),
+        to: ledger.gameEscrow(game.gameId),
+        amount: game.playerEntryFee,
+        gameId: game.gameId,
+        description: `Bought card ${cardNumber} in game ${game.gameId} - ${game.playerEntryFee} Birr`
+      }, session);
+      user.wallet = charged.balanceAfter;
+    });
+  } catch (error) {
+    if (error.message === ledger.INSUFFICIENT_BALANCE) {
+      return null;
+    }
+    throw error;
+  }
+
+  return updatedGame;
+}
+
+/**
+ * Leave a game before it starts, refunding the entry fee and every card bought
+ * POST /api/bingo/games/:gameId/leave
+ */
+router.post('/games/:gameId/leave', auth, async (req, res) => {
   try {
-    const { number } = req.body;
     const game = await BingoGameSession.findOne({ gameId: req.params.gameId });
 
     if (!game) {
       return res.status(404).json({ error: 'Game not found' });
     }
 
-    if (game.status !== 'active' && game.status !== 'paused') {
-      return res.status(400).json({ error: 'Game is not active' });
+    if (game.status !== 'ready') {
+      return res.status(400).json({ error: 'You can only leave a game before it starts' });
+    }
+
+    if (!game.players.some(player => player.equals(req.user._id))) {
+      return res.status(400).json({ error: 'You have not joined this game' });
+    }
+
+    const result = await leaveGame(game, req.user._id);
+    if (!result) {
+      return res.status(409).json({ error: 'Game started or your cards changed, please try again' });
+    }
+
+    if (io) {
+      const eventData = {
+        gameId: game.gameId,
+        playerId: req.user._id,
+        playerName: req.user.username,
+        totalPlayers: result.game.players.length,
+        maxPlayers: game.maxPlayers,
+        availableCards: result.game.availableCards
+      };
+      io.to(`game-${game.gameId}`).emit('playerLeftBingo', eventData);
+      // Also sent to the game admin's dashboard
+      io.to(adminRoom(game.createdBy)).emit('playerLeftBingo', eventData);
+    }
+    if (result.newBalance !== null) {
+      emitWalletUpdated(io, req.user._id, result.newBalance);
+    }
+    // A running start countdown stops if the game no longer qualifies
+    applyStartPolicyInBackground(game.gameId);
+
+    res.json({
+      message: 'You left the game',
+      gameId: game.gameId,
+      refund: result.refund,
+      wallet: result.newBalance !== null ? result.newBalance : req.user.wallet
+    });
+  } catch (error) {
+    console.error('Error leaving game:', error);
+    res.status(500).json({ error: 'Error leaving game' });
+  }
+});
+
+/**
+ * Mark a number on player's card (for manual mode)
+ * POST /api/bingo/games/:gameId/mark-number
+ */
+router.post('/games/:gameId/mark-number', auth, async (req, res) => {
+  try {
+    const { number } = req.body;
+    const game = await BingoGameSession.findOne({ gameId: req.params.gameId });
+
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    if (game.status !== 'active' && game.status !== 'paused') {
+      return res.status(400).json({ error: 'Game is not active' });
     }
 
     if (game.markingMode !== 'manual') {
@@ -731,59 +1055,7 @@ router.post('/games/:gameId/mark-number', auth, async (req, res) => {
     const marked = game.markNumberOnPlayerCard(req.user._id, number);
 
     if (!marked) {
-      return res.status(400).json({ error: 'Number not found on your card' });
-    }
-
-    // Check if player has won
-    const newWinners = game.checkForWinners();
-    if (newWinners.length > 0) {
-      newWinners.forEach(winner => game.winners.push(winner));
-      game.status = 'completed';
-      game.completedAt = new Date();
-
-      // Calculate and distribute winnings
-      const totalPot = game.players.length * game.playerEntryFee;
-      const profitAmount = (totalPot * game.profitPercentage) / 100;
-      const prizePool = totalPot - profitAmount;
-      const winningAmountPerWinner = prizePool / newWinners.length;
-
-      const User = require('../models/User');
-
-      // Add winnings to each winner's wallet
-      for (const winner of newWinners) {
-        const winnerUser = await User.findById(winner.player);
-        const balanceBefore = winnerUser.wallet;
-        winnerUser.wallet += winningAmountPerWinner;
-        await winnerUser.save();
-
-        // Record transaction
-        await WalletTransaction.create({
-          user: winner.player,
-          type: 'game_win',
-          amount: winningAmountPerWinner,
-          balanceBefore: balanceBefore,
-          balanceAfter: winnerUser.wallet,
-          gameId: game.gameId,
-          description: `Won game ${game.gameId} - Prize ${winningAmountPerWinner.toFixed(2)} Birr`
-        });
-      }
-
-      // Add profit to admin's wallet
-      const adminUser = await User.findById(game.createdBy);
-      const adminBalanceBefore = adminUser.wallet;
-      adminUser.wallet += profitAmount;
-      await adminUser.save();
-
-      // Record admin profit transaction
-      await WalletTransaction.create({
-        user: game.createdBy,
-        type: 'game_profit',
-        amount: profitAmount,
-        balanceBefore: adminBalanceBefore,
-        balanceAfter: adminUser.wallet,
-        gameId: game.gameId,
-        description: `Profit from game ${game.gameId} - ${profitAmount.toFixed(2)} Birr`
-      });
+      return res.status(400).json({ error: 'Number not found on your cards' });
     }
 
     await game.save();
@@ -791,34 +1063,14 @@ router.post('/games/:gameId/mark-number', auth, async (req, res) => {
     // Get updated player card
     const playerCard = game.getPlayerCard(req.user._id);
 
-    // Notify via socket if there's a winner
-    if (newWinners.length > 0 && io) {
-      const populatedGame = await BingoGameSession.findOne({ gameId: game.gameId })
-        .populate('winners.player', 'username');
-
-      io.to(`game-${game.gameId}`).emit('bingoWinner', {
-        gameId: game.gameId,
-        winners: populatedGame.winners.map(w => {
-          return {
-            player: {
-              _id: w.player._id,
-              username: w.player.username
-            },
-            cardNumber: w.cardNumber,
-            pattern: w.pattern,
-            completedAt: w.completedAt,
-            winningCard: w.winningCard,
-            markedCells: w.markedCells
-          };
-        })
-      });
-    }
-
     res.json({
       message: 'Number marked successfully',
       number: number,
       marked: playerCard.marked,
-      hasWon: newWinners.some(w => w.player.equals(req.user._id))
+      cards: game.getPlayerCards(req.user._id).map(card => ({
+        cardNumber: card.cardNumber,
+        marked: card.marked
+      }))
     });
   } catch (error) {
     console.error('Error marking number:', error);
@@ -826,6 +1078,22 @@ router.post('/games/:gameId/mark-number', auth, async (req, res) => {
   }
 });
 
+/**
+ * Declare BINGO (manual marking mode)
+ * The claim is checked against the called numbers and the player's marks;
+ * false claims are penalised according to the game's claimRules.
+ * POST /api/bingo/games/:gameId/claim
+ */
+router.post('/games/:gameId/claim', auth, async (req, res) => {
+  try {
+    const result = await claimBingo(req.params.gameId, req.user, req.body.cardNumber);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Error processing claim:', error);
+    res.status(500).json({ error: 'Error processing claim' });
+  }
+});
+
 /**
  * Get user's game history
  * GET /api/bingo/history
@@ -856,7 +1124,8 @@ router.get('/history', auth, async (req, res) => {
     //   userWon: game.winners.some(w => w.player._id.equals(userId))
     // }));
     const history = games.map(game => {
-      const userCard = game.bingoCards.find(card => card.player.equals(userId));
+      const userCards = game.getPlayerCards(userId);
+      const userCard = userCards[0];
       return {
         gameId: game.gameId,
         completedAt: game.completedAt,
@@ -865,11 +1134,10 @@ router.get('/history', auth, async (req, res) => {
         calledNumbers: game.calledNumbers.length,
         calledNumbersList: game.calledNumbers,
         winners: game.winners.map(w => {
-          const winnerCard = game.bingoCards.find(c => c.player.equals(w.player._id));
           return {
             player: w.player.username,
             pattern: w.pattern,
-            cardNumber: winnerCard ? winnerCard.cardNumber : null,
+            cardNumber: w.cardNumber,
             winningCard: w.winningCard,
             markedCells: w.markedCells
           };
@@ -879,7 +1147,12 @@ router.get('/history', auth, async (req, res) => {
           cardNumber: userCard.cardNumber,
           grid: userCard.grid,
           marked: userCard.marked
-        } : null
+        } : null,
+        userCards: userCards.map(card => ({
+          cardNumber: card.cardNumber,
+          grid: card.grid,
+          marked: card.marked
+        }))
       };
     });
 
@@ -890,140 +1163,542 @@ router.get('/history', auth, async (req, res) => {
   }
 });
 
-// ============= AUTO-CALL MECHANISM =============
+// ============= WINNERS & CLAIMS =============
 
 /**
- * Starts automatic number calling for a game
+ * Broadcasts all of a game's winners to its room and sends every credited
+ * wallet its new balance
  */
-async function startAutoCallNumbers(gameId, interval) {
-  // Clear any existing interval
-  stopAutoCallNumbers(gameId);
+async function emitBingoWinners(game, payouts) {
+  if (!io) {
+    return;
+  }
 
-  const intervalId = setInterval(async () => {
-    try {
-      const game = await BingoGameSession.findOne({ gameId })
-        .populate('winners.player', 'username');
+  payouts.forEach(payout => {
+    payout.balances.forEach(({ userId, newBalance }) => emitWalletUpdated(io, userId, newBalance));
+  });
 
-      if (!game || game.status !== 'active') {
-        stopAutoCallNumbers(gameId);
-        return;
+  const jackpotWon = payouts.reduce((sum, payout) => sum + (payout.jackpotWon || 0), 0);
+  if (jackpotWon > 0) {
+    io.to(`game-${game.gameId}`).emit('bingoJackpotWon', {
+      gameId: game.gameId,
+      amount: jackpotWon,
+      calls: game.calledNumbers.length
+    });
+  }
+
+  const populatedGame = await BingoGameSession.findOne({ gameId: game.gameId })
+    .populate('winners.player', 'username');
+
+  io.to(`game-${game.gameId}`).emit('bingoWinner', {
+    gameId: game.gameId,
+    gameCompleted: game.status === 'completed',
+    currentStage: game.currentStage,
+    winners: populatedGame.winners.map(w => {
+      return {
+        player: {
+          _id: w.player._id,
+          username: w.player.username
+        },
+        cardNumber: w.cardNumber,
+        pattern: w.pattern,
+        completedAt: w.completedAt,
+        winningCard: w.winningCard,
+        markedCells: w.markedCells,
+        stage: w.stage
+      };
+    })
+  });
+}
+
+/**
+ * Verifies a player's BINGO claim and pays it out, or penalises a false claim
+ * Shared by the HTTP route and the claimBingo socket event
+ * Returns { status, body } for the caller to send back
+ */
+async function claimBingo(gameId, user, cardNumber) {
+  const game = await BingoGameSession.findOne({ gameId });
+
+  if (!game) {
+    return { status: 404, body: { error: 'Game not found' } };
+  }
+
+  if (game.status !== 'active' && game.status !== 'paused') {
+    return { status: 400, body: { error: 'Game is not active' } };
+  }
+
+  if (game.markingMode !== 'manual') {
+    return { status: 400, body: { error: 'BINGO is only claimed in manual marking mode' } };
+  }
+
+  if (!game.players.some(player => player.equals(user._id))) {
+    return { status: 400, body: { error: 'You are not a player in this game' } };
+  }
+
+  const block = game.getClaimBlock(user._id);
+  if (block) {
+    return { status: 403, body: { error: block } };
+  }
+
+  const claim = game.verifyClaim(user._id, typeof cardNumber === 'number' ? cardNumber : undefined);
+
+  if (!claim.valid) {
+    const penalty = game.applyFalseClaimPenalty(user._id);
+    await game.save();
+
+    if (io) {
+      io.to(`game-${game.gameId}`).emit('bingoFalseClaim', {
+        gameId: game.gameId,
+        playerId: user._id,
+        playerName: user.username,
+        penalty: game.claimRules.falseClaimPenalty,
+        disqualified: penalty.disqualified
+      });
+    }
+
+    return {
+      status: 400,
+      body: {
+        error: claim.reason,
+        penalty: game.claimRules.falseClaimPenalty,
+        falseClaims: penalty.falseClaims,
+        lockedUntil: penalty.lockedUntil,
+        disqualified: penalty.disqualified
       }
+    };
+  }
 
-      // Call a number
-      const calledNumber = game.callNumber();
-
-      if (!calledNumber) {
-        // No more numbers to call
-        game.status = 'completed';
-        game.completedAt = new Date();
-        await game.save();
-        stopAutoCallNumbers(gameId);
-
-        if (io) {
-          io.to(`game-${gameId}`).emit('bingoGameCompleted', {
-            gameId: game.gameId,
-            reason: 'All numbers called'
-          });
-        }
-        return;
+  // Not a false claim (no penalty), the player simply missed their chance
+  if (claim.late && game.claimRules.lateClaimRule === 'reject') {
+    return {
+      status: 400,
+      body: { error: 'Claim is too late: your BINGO was complete before the latest number was called', late: true }
+    };
+  }
+
+  // Record the winner and pay out the prize in a single transaction
+  const winner = game.buildWinner(claim.card, claim.pattern);
+  const payouts = await settleGame(game, [winner]);
+  if (!payouts) {
+    return { status: 409, body: { error: 'This prize has already been paid' } };
+  }
+
+  if (game.status === 'completed') {
+    stopAutoCallNumbers(game.gameId);
+  }
+
+  await emitBingoWinners(game, payouts);
+
+  return {
+    status: 200,
+    body: {
+      message: 'BINGO! Your claim has been verified',
+      pattern: claim.pattern,
+      cardNumber: claim.card.cardNumber,
+      late: claim.late,
+      stage: winner.stage,
+      prize: payouts[0].winningAmountPerWinner,
+      gameCompleted: game.status === 'completed'
+    }
+  };
+}
+
+/**
+ * Registers Number Bingo socket events for a new connection (called from server.js)
+ * The socket was authenticated during the handshake, see socketAuth.
+ */
+function registerSocketHandlers(socket) {
+  // Player declares BINGO: { gameId, cardNumber? }, the result comes back through the ack callback
+  socket.on('claimBingo', async (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    try {
+      if (!data || !data.gameId) {
+        return reply({ status: 400, error: 'gameId is required' });
       }
 
-      // Check for winners
-      const newWinners = game.checkForWinners();
-
-      if (newWinners.length > 0) {
-        newWinners.forEach(winner => game.winners.push(winner));
-        game.status = 'completed';
-        game.completedAt = new Date();
-
-        // Calculate and distribute winnings
-        const totalPot = game.players.length * game.playerEntryFee;
-        const profitAmount = (totalPot * game.profitPercentage) / 100;
-        const prizePool = totalPot - profitAmount;
-        const winningAmountPerWinner = prizePool / newWinners.length;
-
-        const User = require('../models/User');
-
-        // Add winnings to each winner's wallet
-        for (const winner of newWinners) {
-          const winnerUser = await User.findById(winner.player);
-          const balanceBefore = winnerUser.wallet;
-          winnerUser.wallet += winningAmountPerWinner;
-          await winnerUser.save();
-
-          // Record transaction
-          await WalletTransaction.create({
-            user: winner.player,
-            type: 'game_win',
-            amount: winningAmountPerWinner,
-            balanceBefore: balanceBefore,
-            balanceAfter: winnerUser.wallet,
-            gameId: game.gameId,
-            description: `Won game ${game.gameId} - Prize ${winningAmountPerWinner.toFixed(2)} Birr`
-          });
+      const result = await claimBingo(data.gameId, socket.user, data.cardNumber);
+      reply({ status: result.status, ...result.body });
+    } catch (error) {
+      console.error('Error processing socket claim:', error);
+      reply({ status: 500, error: 'Error processing claim' });
+    }
+  });
+}
+
+// ============= PREPARING & STARTING GAMES =============
+
+/**
+ * Opens a game for players: builds its card deck, sets its ready deadline and
+ * hands it to the start scheduler
+ */
+async function prepareGame(game) {
+  // The ready deadline runs from the scheduled start time, if there is one
+  const waitFrom = Math.max(Date.now(), game.startPolicy?.startAt ? game.startPolicy.startAt.getTime() : 0);
+  game.status = 'ready';
+  game.readyExpiresAt = new Date(waitFrom + game.readyTimeoutMinutes * 60 * 1000);
+  game.initializeAvailableCards();
+  await game.save();
+
+  // Notify all clients via WebSocket
+  if (io) {
+    io.emit('bingoGameReady', {
+      gameId: game.gameId,
+      maxPlayers: game.maxPlayers,
+      winningPattern: game.winningPattern
+    });
+  }
+
+  // Picks up scheduled / automatic starts
+  applyStartPolicyInBackground(game.gameId);
+
+  return game;
+}
+
+/**
+ * Starts a ready game: commits to the draw seed and begins calling numbers
+ * Returns the started game, or null if another request started it first
+ */
+async function startGame(game) {
+  game.commitDrawSeed();
+  cancelAutoStart(game.gameId);
+
+  const startedGame = await BingoGameSession.findOneAndUpdate(
+    { _id: game._id, status: 'ready' },
+    {
+      $set: {
+        status: 'active',
+        startedAt: new Date(),
+        fairness: {
+          algorithm: game.fairness.algorithm,
+          commitment: game.fairness.commitment,
+          serverSeed: game.fairness.serverSeed
         }
+      },
+      $unset: { autoStartAt: '' }
+    },
+    { new: true }
+  );
+  if (!startedGame) {
+    return null;
+  }
 
-        // Add profit to admin's wallet
-        const adminUser = await User.findById(game.createdBy);
-        const adminBalanceBefore = adminUser.wallet;
-        adminUser.wallet += profitAmount;
-        await adminUser.save();
-
-        // Record admin profit transaction
-        await WalletTransaction.create({
-          user: game.createdBy,
-          type: 'game_profit',
-          amount: profitAmount,
-          balanceBefore: adminBalanceBefore,
-          balanceAfter: adminUser.wallet,
-          gameId: game.gameId,
-          description: `Profit from game ${game.gameId} - ${profitAmount.toFixed(2)} Birr`
-        });
+  // Start auto-calling numbers
+  await startAutoCallNumbers(startedGame.gameId, startedGame.autoCallInterval);
 
-        stopAutoCallNumbers(gameId);
-      }
+  // Notify all clients
+  if (io) {
+    io.to(`game-${startedGame.gameId}`).emit('bingoGameStarted', {
+      gameId: startedGame.gameId,
+      autoCallInterval: startedGame.autoCallInterval,
+      startedAt: startedGame.startedAt,
+      drawCommitment: startedGame.fairness.commitment
+    });
+  }
+
+  return startedGame;
+}
+
+// Timers for running start countdowns; the end time is stored on the game as autoStartAt
+const autoStartTimers = new Map();
+
+function cancelAutoStart(gameId) {
+  if (autoStartTimers.has(gameId)) {
+    clearTimeout(autoStartTimers.get(gameId));
+    autoStartTimers.delete(gameId);
+  }
+}
+
+function armAutoStart(gameId, startsAt) {
+  cancelAutoStart(gameId);
+  const timer = setTimeout(() => {
+    autoStartTimers.delete(gameId);
+    applyStartPolicyInBackground(gameId);
+  }, Math.max(0, startsAt.getTime() - Date.now()));
+  autoStartTimers.set(gameId, timer);
+}
+
+function emitStartCountdown(game) {
+  if (io) {
+    io.to(`game-${game.gameId}`).emit('bingoStartCountdown', {
+      gameId: game.gameId,
+      startsAt: game.autoStartAt,
+      secondsLeft: Math.max(0, Math.ceil((game.autoStartAt.getTime() - Date.now()) / 1000))
+    });
+  }
+}
+
+/**
+ * Applies a ready game's start policy.
+ * Games with autoStart (or a startAt time that has come) start once they
+ * qualify: a countdown is broadcast to the room and the game starts when it
+ * runs out, provided it still qualifies. Scheduled games begin their countdown
+ * so that it ends at startAt.
+ */
+async function applyStartPolicy(gameId) {
+  const game = await BingoGameSession.findOne({ gameId });
+  if (!game || game.status !== 'ready') {
+    cancelAutoStart(gameId);
+    return;
+  }
 
-      await game.save();
+  const policy = game.startPolicy || {};
+  if (!policy.autoStart && !policy.startAt) {
+    return;
+  }
+
+  const now = Date.now();
+  const countdownMs = (policy.countdownSeconds || 0) * 1000;
+  const startBlock = game.getStartBlock();
 
-      // Notify all clients about the called number
+  // Someone left (or hasn't picked a card): stop the countdown and wait
+  if (startBlock) {
+    if (game.autoStartAt) {
+      cancelAutoStart(gameId);
+      await BingoGameSession.updateOne({ _id: game._id, status: 'ready' }, { $unset: { autoStartAt: '' } });
       if (io) {
-        io.to(`game-${gameId}`).emit('bingoNumberCalled', {
-          gameId: game.gameId,
-          number: calledNumber,
-          totalCalled: game.calledNumbers.length,
-          currentNumber: game.currentNumber
+        io.to(`game-${gameId}`).emit('bingoStartCountdownCancelled', { gameId, reason: startBlock });
+      }
+    }
+    return;
+  }
+
+  if (!game.autoStartAt) {
+    // Scheduled games wait until their countdown would end at startAt
+    const scheduledAt = policy.startAt ? policy.startAt.getTime() : 0;
+    if (scheduledAt - countdownMs > now) {
+      return;
+    }
+
+    game.autoStartAt = new Date(Math.max(scheduledAt, now + countdownMs));
+    await BingoGameSession.updateOne({ _id: game._id, status: 'ready' }, { $set: { autoStartAt: game.autoStartAt } });
+  }
+
+  if (game.autoStartAt.getTime() <= now) {
+    const startedGame = await startGame(game);
+    if (startedGame) {
+      console.log(`Auto-started game ${gameId}`);
+    }
+    return;
+  }
+
+  emitStartCountdown(game);
+  if (!autoStartTimers.has(gameId)) {
+    armAutoStart(gameId, game.autoStartAt);
+  }
+}
+
+function applyStartPolicyInBackground(gameId) {
+  applyStartPolicy(gameId).catch(error => {
+    console.error(`Error applying start policy for game ${gameId}:`, error);
+  });
+}
+
+let startPolicyTimer = null;
+
+/**
+ * Applies the start policy of every scheduled / auto-start game every 5 seconds
+ * (called from server.js once connected). Keeps countdowns broadcasting and
+ * picks up countdowns left running before a restart.
+ */
+function startStartPolicyScheduler() {
+  if (startPolicyTimer) {
+    return;
+  }
+
+  let sweeping = false;
+  const sweep = async () => {
+    if (sweeping) {
+      return;
+    }
+    sweeping = true;
+    try {
+      const games = await BingoGameSession.find({
+        status: 'ready',
+        $or: [{ 'startPolicy.autoStart': true }, { 'startPolicy.startAt': { $exists: true } }]
+      }).select('gameId');
+
+      for (const game of games) {
+        await applyStartPolicy(game.gameId).catch(error => {
+          console.error(`Error applying start policy for game ${game.gameId}:`, error);
         });
+      }
+    } catch (error) {
+      console.error('Error applying start policies:', error);
+    } finally {
+      sweeping = false;
+    }
+  };
 
-        // If there are winners, notify
-        if (newWinners.length > 0) {
-          const populatedGame = await BingoGameSession.findOne({ gameId })
-            .populate('winners.player', 'username');
-
-            io.to(`game-${gameId}`).emit('bingoWinner', {
-              gameId: game.gameId,
-              winners: populatedGame.winners.map(w => {
-                return {
-                  player: {
-                    _id: w.player._id,
-                    username: w.player.username
-                  },
-                  cardNumber: w.cardNumber,
-                  pattern: w.pattern,
-                  completedAt: w.completedAt,
-                  winningCard: w.winningCard,
-                  markedCells: w.markedCells
-                };
-              })
-            });
-        }
+  startPolicyTimer = setInterval(sweep, 5000);
+  sweep();
+}
+
+// ============= CANCELLATION =============
+
+/**
+ * Cancels a game, refunds its players and tells everyone involved
+ * Returns the refund summary, or null if the game could not be cancelled
+ */
+async function cancelAndRefund(game, reason) {
+  const result = await cancelGame(game, reason);
+  if (!result) {
+    return null;
+  }
+
+  stopAutoCallNumbers(game.gameId);
+  cancelAutoStart(game.gameId);
+
+  if (io) {
+    const eventData = {
+      gameId: game.gameId,
+      reason: reason
+    };
+    io.to(`game-${game.gameId}`).emit('bingoGameCancelled', eventData);
+    io.to(adminRoom(game.createdBy)).emit('bingoGameCancelled', eventData);
+  }
+  result.refunds.forEach(refund => emitWalletUpdated(io, refund.userId, refund.newBalance));
+
+  return result;
+}
+
+/**
+ * Ends a game before its last prize was won, refunds what its escrow still
+ * holds (see endUnfinishedGame) and tells everyone involved. A game without
+ * winners is cancelled and announced as such, otherwise with endedEvent.
+ * Returns the refund summary, or null if the game had already ended
+ */
+async function endAndRefund(game, reason, endedEvent) {
+  const result = await endUnfinishedGame(game, reason);
+  if (!result) {
+    return null;
+  }
+
+  stopAutoCallNumbers(game.gameId);
+  cancelAutoStart(game.gameId);
+
+  if (io) {
+    const eventName = result.cancelled ? 'bingoGameCancelled' : endedEvent;
+    const eventData = {
+      gameId: game.gameId,
+      reason: reason
+    };
+    io.to(`game-${game.gameId}`).emit(eventName, eventData);
+    io.to(adminRoom(game.createdBy)).emit(eventName, eventData);
+  }
+  result.refunds.forEach(refund => emitWalletUpdated(io, refund.userId, refund.newBalance));
+
+  return result;
+}
+
+/**
+ * Cancels every game that has been waiting in 'ready' past its deadline
+ */
+async function cancelExpiredGames() {
+  const expiredGames = await BingoGameSession.find({
+    status: 'ready',
+    readyExpiresAt: { $lte: new Date() }
+  });
+
+  for (const game of expiredGames) {
+    try {
+      const result = await cancelAndRefund(game, 'Not started before the ready deadline');
+      if (result) {
+        console.log(`Auto-cancelled game ${game.gameId}, refunded ${result.refunds.length} players`);
       }
     } catch (error) {
-      console.error('Error in auto-call:', error);
-      stopAutoCallNumbers(gameId);
+      console.error(`Error auto-cancelling game ${game.gameId}:`, error);
+    }
+  }
+}
+
+let expiredGamesTimer = null;
+
+/**
+ * Checks for expired 'ready' games every minute (called from server.js once connected)
+ */
+function startExpiredGameSweeper() {
+  if (expiredGamesTimer) {
+    return;
+  }
+
+  expiredGamesTimer = setInterval(() => {
+    cancelExpiredGames().catch(error => console.error('Error cancelling expired games:', error));
+  }, 60 * 1000);
+  cancelExpiredGames().catch(error => console.error('Error cancelling expired games:', error));
+}
+
+// ============= AUTO-CALL MECHANISM =============
+
+/**
+ * Calls the next number for an active game (one auto-call tick)
+ * Returns the delay until the next call, or null when calling should stop
+ */
+async function autoCallNextNumber(gameId) {
+  const game = await BingoGameSession.findOne({ gameId })
+    .select('+fairness.serverSeed')
+    .populate('winners.player', 'username');
+
+  if (!game || game.status !== 'active') {
+    return null;
+  }
+
+  // Call a number
+  const calledNumber = game.callNumber();
+
+  if (!calledNumber) {
+    // No more numbers to call and prizes nobody claimed: refund what the escrow holds
+    await endAndRefund(game, 'All numbers called', 'bingoGameCompleted');
+    return null;
+  }
+
+  // Check for winners
+  const newWinners = game.checkForWinners();
+  let payouts = null;
+
+  if (newWinners.length > 0) {
+    // Record the winners and pay out the prize in a single transaction
+    payouts = await settleGame(game, newWinners);
+    if (!payouts) {
+      // Another path already paid this prize, the next tick reloads the game
+      return game.autoCallInterval;
+    }
+  }
+
+  await game.save();
+
+  // Notify all clients about the called number
+  if (io) {
+    io.to(`game-${gameId}`).emit('bingoNumberCalled', {
+      gameId: game.gameId,
+      number: calledNumber,
+      totalCalled: game.calledNumbers.length,
+      currentNumber: game.currentNumber
+    });
+
+    // If there are winners, notify
+    if (payouts) {
+      await emitBingoWinners(game, payouts);
     }
-  }, interval);
+  }
 
-  autoCallIntervals.set(gameId, intervalId);
+  return game.status === 'active' ? game.autoCallInterval : null;
+}
+
+// Auto-call timers; the next call time is stored on the game as nextCallAt
+const autoCaller = createCallScheduler({
+  name: 'auto-call',
+  Model: BingoGameSession,
+  activeStatus: 'active',
+  dueField: 'nextCallAt',
+  intervalField: 'autoCallInterval',
+  tick: autoCallNextNumber
+});
+
+/**
+ * Starts automatic number calling for a game
+ */
+async function startAutoCallNumbers(gameId, interval) {
+  await autoCaller.schedule(gameId, interval);
   console.log(`Auto-call started for game ${gameId} with interval ${interval}ms`);
 }
 
@@ -1031,12 +1706,25 @@ async function startAutoCallNumbers(gameId, interval) {
  * Stops automatic number calling for a game
  */
 function stopAutoCallNumbers(gameId) {
-  if (autoCallIntervals.has(gameId)) {
-    clearInterval(autoCallIntervals.get(gameId));
-    autoCallIntervals.delete(gameId);
+  if (autoCaller.cancel(gameId)) {
     console.log(`Auto-call stopped for game ${gameId}`);
   }
 }
 
-module.exports = { router, setSocketIO };
+/**
+ * Resumes auto-calling for every active game (called once at server boot)
+ */
+function resumeAutoCalling() {
+  return autoCaller.resumeAll();
+}
+
+module.exports = {
+  router,
+  setSocketIO,
+  prepareGame,
+  resumeAutoCalling,
+  startExpiredGameSweeper,
+  startStartPolicyScheduler,
+  registerSocketHandlers
+};
    
\ No newline at end of file
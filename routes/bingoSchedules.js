@@ -0,0 +1,477 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const GameTemplate = require('../models/GameTemplate');
+const GameSchedule = require('../models/GameSchedule');
+const User = require('../models/User');
+const { validateGameSettings, createBingoGame } = require('../services/bingoGameFactory');
+const { TIME_PATTERN, toMinutes, isValidTimezone, nextStartTime } = require('../utils/scheduleTimes');
+const { adminRoom } = require('../utils/socketRooms');
+const { prepareGame } = require('./bingo');
+
+// Socket.io instance will be set from server.js
+let io;
+
+const setSocketIO = (socketIO) => {
+  io = socketIO;
+};
+
+/**
+ * Whether a user may change a template or schedule (its creator, or staff who
+ * may manage everyone's)
+ */
+function canManage(user, doc) {
+  return hasPermission(user, 'game:manage-any') || doc.createdBy.equals(user._id);
+}
+
+/**
+ * Validates template settings; the start time of a template's games comes
+ * from the schedule (or from startPolicy.startAt when created by hand)
+ */
+async function validateTemplateSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'settings must be an object with the same fields as a new game';
+  }
+
+  const { error } = await validateGameSettings(settings, { allowStartAt: false });
+  return error || null;
+}
+
+// ============= TEMPLATES =============
+
+/**
+ * List game templates (own templates, all of them for a super admin)
+ * GET /api/bingo-schedules/templates
+ */
+router.get('/templates', requirePermission('game:create'), async (req, res) => {
+  try {
+    const filter = hasPermission(req.user, 'game:manage-any') ? {} : { createdBy: req.user._id };
+    const templates = await GameTemplate.find(filter)
+      .populate('createdBy', 'username')
+      .sort({ name: 1 });
+
+    res.json({ templates });
+  } catch (error) {
+    console.error('Error fetching game templates:', error);
+    res.status(500).json({ error: 'Error fetching game templates' });
+  }
+});
+
+/**
+ * Save a game template
+ * settings takes the same fields as POST /api/bingo/create
+ * POST /api/bingo-schedules/templates
+ */
+router.post('/templates', requirePermission('game:create'), async (req, res) => {
+  try {
+    const { name, description, settings } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Template name is required' });
+    }
+
+    const settingsError = await validateTemplateSettings(settings);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const existingTemplate = await GameTemplate.findOne({ createdBy: req.user._id, name: name.trim() });
+    if (existingTemplate) {
+      return res.status(400).json({ error: 'You already have a template with this name' });
+    }
+
+    const template = await GameTemplate.create({
+      name,
+      description: description || '',
+      settings,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Game template saved successfully',
+      template
+    });
+  } catch (error) {
+    console.error('Error saving game template:', error);
+    res.status(500).json({ error: 'Error saving game template' });
+  }
+});
+
+/**
+ * Update a game template (later games use the new settings)
+ * PUT /api/bingo-schedules/templates/:templateId
+ */
+router.put('/templates/:templateId', requirePermission('game:create'), async (req, res) => {
+  try {
+    const { name, description, settings } = req.body;
+    const template = await GameTemplate.findById(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (!canManage(req.user, template)) {
+      return res.status(403).json({ error: 'You can only change templates you created' });
+    }
+
+    if (settings !== undefined) {
+      const settingsError = await validateTemplateSettings(settings);
+      if (settingsError) {
+        return res.status(400).json({ error: settingsError });
+      }
+      template.settings = settings;
+    }
+    if (name !== undefined) {
+      template.name = name;
+    }
+    if (description !== undefined) {
+      template.description = description;
+    }
+
+    await template.save();
+
+    res.json({
+      message: 'Game template updated successfully',
+      template
+    });
+  } catch (error) {
+    console.error('Error updating game template:', error);
+    res.status(500).json({ error: 'Error updating game template' });
+  }
+});
+
+/**
+ * Delete a game template that no schedule uses
+ * DELETE /api/bingo-schedules/templates/:templateId
+ */
+router.delete('/templates/:templateId', requirePermission('game:create'), async (req, res) => {
+  try {
+    const template = await GameTemplate.findById(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (!canManage(req.user, template)) {
+      return res.status(403).json({ error: 'You can only delete templates you created' });
+    }
+
+    const schedules = await GameSchedule.countDocuments({ template: template._id });
+    if (schedules > 0) {
+      return res.status(400).json({ error: `Template is used by ${schedules} schedule(s), delete them first` });
+    }
+
+    await template.deleteOne();
+
+    res.json({ message: 'Game template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting game template:', error);
+    res.status(500).json({ error: 'Error deleting game template' });
+  }
+});
+
+/**
+ * Create a game from a template, charging the game cost like POST /api/bingo/create
+ * POST /api/bingo-schedules/templates/:templateId/games
+ */
+router.post('/templates/:templateId/games', requirePermission('game:create'), async (req, res) => {
+  try {
+    const template = await GameTemplate.findById(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (!canManage(req.user, template)) {
+      return res.status(403).json({ error: 'You can only use templates you created' });
+    }
+
+    const { error, settings } = await validateGameSettings(template.settings, { allowStartAt: false });
+    if (error) {
+      return res.status(400).json({ error: `Template is no longer valid: ${error}` });
+    }
+
+    const created = await createBingoGame(req.user, settings, template.settings.gameCost);
+    if (created.error) {
+      return res.status(403).json({ error: created.error });
+    }
+
+    res.status(201).json({
+      message: 'BINGO game created from template',
+      game: {
+        _id: created.game._id,
+        gameId: created.game.gameId,
+        gamePin: created.game.gamePin,
+        status: created.game.status
+      },
+      creditsRemaining: created.creditsRemaining
+    });
+  } catch (error) {
+    console.error('Error creating game from template:', error);
+    res.status(500).json({ error: 'Error creating game from template' });
+  }
+});
+
+// ============= SCHEDULES =============
+
+/**
+ * Works out when a schedule's next game starts and is created
+ */
+function planNextRun(schedule, after) {
+  const nextStartAt = nextStartTime(schedule, after);
+  schedule.nextStartAt = nextStartAt || undefined;
+  schedule.nextRunAt = nextStartAt
+    ? new Date(nextStartAt.getTime() - schedule.leadMinutes * 60 * 1000)
+    : undefined;
+}
+
+/**
+ * List recurring schedules (own schedules, all of them for a super admin)
+ * GET /api/bingo-schedules/schedules
+ */
+router.get('/schedules', requirePermission('game:create'), async (req, res) => {
+  try {
+    const filter = hasPermission(req.user, 'game:manage-any') ? {} : { createdBy: req.user._id };
+    const schedules = await GameSchedule.find(filter)
+      .populate('template', 'name')
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({ schedules });
+  } catch (error) {
+    console.error('Error fetching schedules:', error);
+    res.status(500).json({ error: 'Error fetching schedules' });
+  }
+});
+
+/**
+ * Create a recurring schedule, e.g. { templateId, intervalMinutes: 15,
+ * windowStart: '18:00', windowEnd: '23:00', timezone: 'Africa/Addis_Ababa' }
+ * POST /api/bingo-schedules/schedules
+ */
+router.post('/schedules', requirePermission('game:create'), async (req, res) => {
+  try {
+    const { templateId, intervalMinutes, windowStart, windowEnd, daysOfWeek, timezone, leadMinutes } = req.body;
+
+    const template = await GameTemplate.findById(templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (!canManage(req.user, template)) {
+      return res.status(403).json({ error: 'You can only schedule templates you created' });
+    }
+
+    if (!Number.isInteger(intervalMinutes) || intervalMinutes < 5 || intervalMinutes > 1440) {
+      return res.status(400).json({ error: 'intervalMinutes must be between 5 and 1440' });
+    }
+
+    if (!TIME_PATTERN.test(windowStart || '') || !TIME_PATTERN.test(windowEnd || '')) {
+      return res.status(400).json({ error: 'windowStart and windowEnd must be times like 18:00' });
+    }
+
+    if (toMinutes(windowEnd) < toMinutes(windowStart)) {
+      return res.status(400).json({ error: 'windowEnd must not be before windowStart' });
+    }
+
+    if (daysOfWeek !== undefined &&
+        (!Array.isArray(daysOfWeek) || !daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+      return res.status(400).json({ error: 'daysOfWeek must list days from 0 (Sunday) to 6 (Saturday)' });
+    }
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Unknown timezone' });
+    }
+
+    if (leadMinutes !== undefined && (!Number.isInteger(leadMinutes) || leadMinutes < 1 || leadMinutes > 240)) {
+      return res.status(400).json({ error: 'leadMinutes must be between 1 and 240' });
+    }
+
+    const schedule = new GameSchedule({
+      template: template._id,
+      intervalMinutes,
+      windowStart,
+      windowEnd,
+      daysOfWeek: daysOfWeek || [],
+      timezone: timezone || 'UTC',
+      leadMinutes: leadMinutes || 10,
+      createdBy: req.user._id
+    });
+    planNextRun(schedule, new Date());
+    await schedule.save();
+
+    res.status(201).json({
+      message: 'Schedule created successfully',
+      schedule
+    });
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({ error: 'Error creating schedule' });
+  }
+});
+
+/**
+ * Pause or resume a schedule
+ * POST /api/bingo-schedules/schedules/:scheduleId/pause
+ * POST /api/bingo-schedules/schedules/:scheduleId/resume
+ */
+router.post('/schedules/:scheduleId/:action(pause|resume)', requirePermission('game:create'), async (req, res) => {
+  try {
+    const schedule = await GameSchedule.findById(req.params.scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    if (!canManage(req.user, schedule)) {
+      return res.status(403).json({ error: 'You can only change schedules you created' });
+    }
+
+    schedule.active = req.params.action === 'resume';
+    if (schedule.active) {
+      // Slots missed while paused are skipped
+      planNextRun(schedule, new Date());
+    }
+    await schedule.save();
+
+    res.json({
+      message: `Schedule ${schedule.active ? 'resumed' : 'paused'}`,
+      schedule
+    });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Error updating schedule' });
+  }
+});
+
+/**
+ * Delete a schedule (games it already created are not affected)
+ * DELETE /api/bingo-schedules/schedules/:scheduleId
+ */
+router.delete('/schedules/:scheduleId', requirePermission('game:create'), async (req, res) => {
+  try {
+    const schedule = await GameSchedule.findById(req.params.scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    if (!canManage(req.user, schedule)) {
+      return res.status(403).json({ error: 'You can only delete schedules you created' });
+    }
+
+    await schedule.deleteOne();
+
+    res.json({ message: 'Schedule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({ error: 'Error deleting schedule' });
+  }
+});
+
+// ============= SCHEDULE RUNNER =============
+
+/**
+ * Creates and prepares the next game of a due schedule.
+ * The slot is claimed first (nextRunAt moves on), so a game is never created
+ * twice for one slot. Slots whose start time has already passed (e.g. the
+ * server was down) are skipped rather than creating a late game.
+ */
+async function runSchedule(schedule) {
+  const { nextRunAt: dueAt, nextStartAt: startAt } = schedule;
+
+  // Plan the following slot, never one that has already passed
+  planNextRun(schedule, new Date(Math.max(startAt ? startAt.getTime() : 0, Date.now())));
+  const claimed = await GameSchedule.findOneAndUpdate(
+    { _id: schedule._id, active: true, nextRunAt: dueAt },
+    { $set: { nextStartAt: schedule.nextStartAt, nextRunAt: schedule.nextRunAt, lastRunAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed || !startAt) {
+    return;
+  }
+
+  const fail = (message) => GameSchedule.updateOne({ _id: schedule._id }, { $set: { lastError: message } });
+
+  if (startAt <= new Date()) {
+    return fail(`Skipped the game due at ${startAt.toISOString()}`);
+  }
+
+  const [template, admin] = await Promise.all([
+    GameTemplate.findById(schedule.template),
+    User.findById(schedule.createdBy)
+  ]);
+  if (!template || !admin) {
+    return fail('Template or admin no longer exists');
+  }
+  if (!hasPermission(admin, 'game:create')) {
+    return fail(`${admin.username} may no longer create games`);
+  }
+
+  const { error, settings } = await validateGameSettings({
+    ...template.settings,
+    startPolicy: { ...template.settings.startPolicy, startAt }
+  });
+  if (error) {
+    return fail(`Template is no longer valid: ${error}`);
+  }
+
+  const created = await createBingoGame(admin, settings, template.settings.gameCost);
+  if (created.error) {
+    return fail(created.error);
+  }
+
+  await prepareGame(created.game);
+  await GameSchedule.updateOne(
+    { _id: schedule._id },
+    { $set: { lastGameId: created.game.gameId }, $unset: { lastError: '' }, $inc: { gamesCreated: 1 } }
+  );
+
+  if (io) {
+    io.to(adminRoom(admin._id)).emit('bingoScheduledGameCreated', {
+      scheduleId: schedule._id,
+      gameId: created.game.gameId,
+      gamePin: created.game.gamePin,
+      startAt: startAt,
+      creditsRemaining: created.creditsRemaining
+    });
+  }
+  console.log(`Schedule ${schedule._id} created game ${created.game.gameId} starting at ${startAt.toISOString()}`);
+}
+
+let scheduleTimer = null;
+
+/**
+ * Runs due schedules every 30 seconds (called from server.js once connected)
+ */
+function startScheduleRunner() {
+  if (scheduleTimer) {
+    return;
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const dueSchedules = await GameSchedule.find({ active: true, nextRunAt: { $lte: new Date() } });
+      for (const schedule of dueSchedules) {
+        await runSchedule(schedule).catch(error => {
+          console.error(`Error running schedule ${schedule._id}:`, error);
+        });
+      }
+    } catch (error) {
+      console.error('Error running game schedules:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  scheduleTimer = setInterval(run, 30 * 1000);
+  run();
+}
+
+module.exports = { router, setSocketIO, startScheduleRunner };
@@ -1,12 +1,12 @@
 const express = require('express');
 const crypto = require('crypto');
 const router = express.Router();
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const GameSession = require('../models/GameSession');
 const Counter = require('../models/Counter');
 
 // Create new game (admin only)
-router.post('/', adminAuth, async (req, res) => {
+router.post('/', requirePermission('game:create'), async (req, res) => {
   try {
     const { maxPlayers } = req.body;
     if (!maxPlayers || maxPlayers < 2 || maxPlayers > 100) {
@@ -97,7 +97,7 @@ router.post('/:gameId/join', auth, async (req, res) => {
 });
 
 // Prepare game (admin only)
-router.post('/:gameId/prepare', adminAuth, async (req, res) => {
+router.post('/:gameId/prepare', requirePermission('game:host'), async (req, res) => {
   try {
     const game = await GameSession.findById(req.params.gameId);
     if (!game) {
@@ -115,7 +115,7 @@ router.post('/:gameId/prepare', adminAuth, async (req, res) => {
 });
 
 // Start game (admin only)
-router.post('/:gameId/start', adminAuth, async (req, res) => {
+router.post('/:gameId/start', requirePermission('game:host'), async (req, res) => {
   try {
     const game = await GameSession.findById(req.params.gameId)
       .populate('numbers.selectedBy', 'username');
@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
 const LetterBingoGameSession = require('../models/LetterBingoGameSession');
 const Counter = require('../models/Counter');
+const { createCallScheduler } = require('../utils/callScheduler');
+const responsibleGaming = require('../services/responsibleGaming');
+const { adminRoom, gameRoom } = require('../utils/socketRooms');
 
 // Socket.io instance will be set from server.js
 let io;
@@ -11,8 +15,17 @@ const setSocketIO = (socketIO) => {
   io = socketIO;
 };
 
+/**
+ * Sends a game event to its players and the admin running it
+ */
+function emitToGame(game, eventName, eventData) {
+  if (io) {
+    io.to(gameRoom(game.gameId)).to(adminRoom(game.createdBy)).emit(eventName, eventData);
+  }
+}
+
 // Create new Letter Bingo game (admin only)
-router.post('/create', adminAuth, async (req, res) => {
+router.post('/create', requirePermission('game:create'), async (req, res) => {
   try {
     const { maxPlayers, wordLength, drawSpeed } = req.body;
     
@@ -61,8 +74,8 @@ router.post('/create', adminAuth, async (req, res) => {
 // Get all Letter Bingo games
 router.get('/games', auth, async (req, res) => {
   try {
-    // Admins can only see games they created, unless they are super admin
-    const query = req.user.isSuperAdmin ? {} : { createdBy: req.user._id };
+    // Staff only see games they created, unless they may manage everyone's
+    const query = hasPermission(req.user, 'game:manage-any') ? {} : { createdBy: req.user._id };
 
     const games = await LetterBingoGameSession.find(query)
       .populate('players', 'username')
@@ -146,8 +159,36 @@ router.get('/games/:gameId', auth, async (req, res) => {
   }
 });
 
+// Verify the letter draw of a finished game (public, no login needed)
+router.get('/games/:gameId/verify', async (req, res) => {
+  try {
+    const game = await LetterBingoGameSession.findOne({ gameId: req.params.gameId });
+    
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    
+    if (!game.fairness || !game.fairness.commitment) {
+      return res.status(400).json({ error: 'This game was not played with a committed draw seed' });
+    }
+    
+    const report = game.verifyDraws();
+    if (!report) {
+      return res.status(400).json({
+        error: 'The draw seed is revealed once the game is over',
+        commitment: game.fairness.commitment
+      });
+    }
+    
+    res.json({ gameId: game.gameId, ...report });
+  } catch (error) {
+    console.error('Error verifying draw:', error);
+    res.status(500).json({ error: 'Error verifying draw' });
+  }
+});
+
 // Prepare game for players (admin only)
-router.post('/games/:gameId/prepare', adminAuth, async (req, res) => {
+router.post('/games/:gameId/prepare', requirePermission('game:host'), async (req, res) => {
   try {
     const game = await LetterBingoGameSession.findOne({ gameId: req.params.gameId });
     
@@ -195,18 +236,23 @@ router.post('/games/:gameId/join', auth, async (req, res) => {
       return res.status(400).json({ error: 'Already joined this game' });
     }
     
+    // The player's own limits, cool-off and self-exclusion (Letter Bingo is free to join)
+    const limitError = await responsibleGaming.checkCanJoin(req.user._id, 0);
+    if (limitError) {
+      return res.status(403).json({ error: limitError });
+    }
+
     game.players.push(req.user._id);
     await game.save();
+    await responsibleGaming.recordGameJoin(req.user._id);
     
-    // Notify all clients
-    if (io) {
-      io.emit('playerJoinedLetterBingo', {
-        gameId: game.gameId,
-        playerId: req.user._id,
-        playerName: req.user.username,
-        totalPlayers: game.players.length
-      });
-    }
+    // Notify the game's players and its admin
+    emitToGame(game, 'playerJoinedLetterBingo', {
+      gameId: game.gameId,
+      playerId: req.user._id,
+      playerName: req.user.username,
+      totalPlayers: game.players.length
+    });
     
     res.json({ 
       message: 'Successfully joined game',
@@ -275,16 +321,14 @@ router.post('/games/:gameId/submit-word', auth, async (req, res) => {
     
     await game.save();
     
-    // Notify all clients
-    if (io) {
-      io.emit('wordSubmitted', {
-        gameId: game.gameId,
-        playerId: req.user._id,
-        playerName: req.user.username,
-        totalSubmitted: game.playerWords.length,
-        totalPlayers: game.players.length
-      });
-    }
+    // Notify the game's players and its admin (the word itself stays private)
+    emitToGame(game, 'wordSubmitted', {
+      gameId: game.gameId,
+      playerId: req.user._id,
+      playerName: req.user.username,
+      totalSubmitted: game.playerWords.length,
+      totalPlayers: game.players.length
+    });
     
     res.json({ 
       message: 'Word submitted successfully',
@@ -317,7 +361,7 @@ router.post('/games/:gameId/check-word', auth, async (req, res) => {
 });
 
 // Start game (admin only)
-router.post('/games/:gameId/start', adminAuth, async (req, res) => {
+router.post('/games/:gameId/start', requirePermission('game:host'), async (req, res) => {
   try {
     const game = await LetterBingoGameSession.findOne({ gameId: req.params.gameId });
     
@@ -340,108 +384,107 @@ router.post('/games/:gameId/start', adminAuth, async (req, res) => {
     await game.save();
     
     // Start the automatic letter drawing
-    startLetterDrawing(game.gameId, game.drawSpeed);
+    await startLetterDrawing(game.gameId, game.drawSpeed);
     
-    // Notify all clients
-    if (io) {
-      io.emit('letterBingoGameStarted', {
-        gameId: game.gameId,
-        drawSpeed: game.drawSpeed
-      });
-    }
+    // Notify the game's players and its admin
+    emitToGame(game, 'letterBingoGameStarted', {
+      gameId: game.gameId,
+      drawSpeed: game.drawSpeed,
+      drawCommitment: game.fairness.commitment
+    });
     
-    res.json({ message: 'Game started successfully' });
+    res.json({ message: 'Game started successfully', drawCommitment: game.fairness.commitment });
   } catch (error) {
     console.error('Error starting game:', error);
     res.status(500).json({ error: 'Error starting game' });
   }
 });
 
-// Function to handle automatic letter drawing
-const letterDrawIntervals = new Map();
+// Draw the next letter for a playing game (one drawing tick)
+// Returns the delay until the next draw, or null when drawing should stop
+async function drawNextLetter(gameId) {
+  const game = await LetterBingoGameSession.findOne({ gameId })
+    .select('+fairness.serverSeed')
+    .populate('winners', 'username');
 
-async function startLetterDrawing(gameId, drawSpeed) {
-  // Clear any existing interval for this game
-  if (letterDrawIntervals.has(gameId)) {
-    clearInterval(letterDrawIntervals.get(gameId));
+  if (!game || game.status !== 'playing') {
+    return null;
   }
-  
-  const interval = setInterval(async () => {
-    try {
-      const game = await LetterBingoGameSession.findOne({ gameId })
-        .populate('winners', 'username');
-      
-      if (!game || game.status !== 'playing') {
-        clearInterval(interval);
-        letterDrawIntervals.delete(gameId);
-        return;
-      }
-      
-      // Draw a letter
-      const drawnLetter = game.drawLetter();
-      
-      if (!drawnLetter) {
-        // No more letters to draw
-        game.status = 'completed';
-        await game.save();
-        clearInterval(interval);
-        letterDrawIntervals.delete(gameId);
-        
-        if (io) {
-          io.emit('letterBingoGameCompleted', {
-            gameId: game.gameId,
-            winners: game.winners,
-            reason: 'All letters drawn'
-          });
-        }
-        return;
-      }
-      
-      await game.save();
-      
-      // Notify all clients about the drawn letter
-      if (io) {
-        io.emit('letterDrawn', {
-          gameId: game.gameId,
-          letter: drawnLetter,
-          drawnLetters: game.drawnLetters.map(dl => dl.letter),
-          remainingCount: game.remainingLetters.length
-        });
-        
-        // Check if there are winners
-        if (game.status === 'completed') {
-          clearInterval(interval);
-          letterDrawIntervals.delete(gameId);
-          
-          const populatedGame = await LetterBingoGameSession.findOne({ gameId })
-            .populate('winners', 'username')
-            .populate('playerWords.player', 'username');
-          
-          io.emit('letterBingoWinner', {
-            gameId: game.gameId,
-            winners: populatedGame.winners.map(w => ({
-              _id: w._id,
-              username: w.username
-            })),
-            winningWords: populatedGame.playerWords
-              .filter(pw => pw.isWinner)
-              .map(pw => ({
-                player: pw.player.username,
-                word: pw.word
-              }))
-          });
-        }
-      }
-    } catch (error) {
-      console.error('Error in letter drawing:', error);
+
+  // Draw a letter
+  const drawnLetter = game.drawLetter();
+
+  if (!drawnLetter) {
+    // No more letters to draw
+    game.status = 'completed';
+    await game.save();
+
+    emitToGame(game, 'letterBingoGameCompleted', {
+      gameId: game.gameId,
+      winners: game.winners,
+      reason: 'All letters drawn'
+    });
+    return null;
+  }
+
+  await game.save();
+
+  // Notify the game's players and its admin about the drawn letter
+  if (io) {
+    emitToGame(game, 'letterDrawn', {
+      gameId: game.gameId,
+      letter: drawnLetter,
+      drawnLetters: game.drawnLetters.map(dl => dl.letter),
+      remainingCount: game.remainingLetters.length
+    });
+
+    // Check if there are winners
+    if (game.status === 'completed') {
+      const populatedGame = await LetterBingoGameSession.findOne({ gameId })
+        .populate('winners', 'username')
+        .populate('playerWords.player', 'username');
+
+      emitToGame(game, 'letterBingoWinner', {
+        gameId: game.gameId,
+        winners: populatedGame.winners.map(w => ({
+          _id: w._id,
+          username: w.username
+        })),
+        winningWords: populatedGame.playerWords
+          .filter(pw => pw.isWinner)
+          .map(pw => ({
+            player: pw.player.username,
+            word: pw.word
+          }))
+      });
     }
-  }, drawSpeed);
-  
-  letterDrawIntervals.set(gameId, interval);
+  }
+
+  return game.status === 'playing' ? game.drawSpeed : null;
+}
+
+// Letter drawing timers; the next draw time is stored on the game as nextDrawAt
+const letterDrawer = createCallScheduler({
+  name: 'letter drawing',
+  Model: LetterBingoGameSession,
+  activeStatus: 'playing',
+  dueField: 'nextDrawAt',
+  intervalField: 'drawSpeed',
+  tick: drawNextLetter
+});
+
+// Function to handle automatic letter drawing
+async function startLetterDrawing(gameId, drawSpeed) {
+  await letterDrawer.schedule(gameId, drawSpeed);
+}
+
+// Resume drawing for every playing game (called once at server boot)
+function resumeLetterDrawing() {
+  return letterDrawer.resumeAll();
 }
 
 // Stop game (admin only)
-router.post('/games/:gameId/stop', adminAuth, async (req, res) => {
+router.post('/games/:gameId/stop', requirePermission('game:host'), async (req, res) => {
   try {
     const game = await LetterBingoGameSession.findOne({ gameId: req.params.gameId });
     
@@ -449,22 +492,17 @@ router.post('/games/:gameId/stop', adminAuth, async (req, res) => {
       return res.status(404).json({ error: 'Game not found' });
     }
     
-    // Stop the drawing interval
-    if (letterDrawIntervals.has(game.gameId)) {
-      clearInterval(letterDrawIntervals.get(game.gameId));
-      letterDrawIntervals.delete(game.gameId);
-    }
+    // Stop the drawing timer
+    letterDrawer.cancel(game.gameId);
     
     game.status = 'completed';
     game.completedAt = new Date();
     await game.save();
     
-    // Notify all clients
-    if (io) {
-      io.emit('letterBingoGameStopped', {
-        gameId: game.gameId
-      });
-    }
+    // Notify the game's players and its admin
+    emitToGame(game, 'letterBingoGameStopped', {
+      gameId: game.gameId
+    });
     
     res.json({ message: 'Game stopped successfully' });
   } catch (error) {
@@ -473,4 +511,4 @@ router.post('/games/:gameId/stop', adminAuth, async (req, res) => {
   }
 });
 
-module.exports = { router, setSocketIO };
\ No newline at end of file
+module.exports = { router, setSocketIO, resumeLetterDrawing };
\ No newline at end of file
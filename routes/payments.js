@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const { auth, requirePermission } = require('../middleware/auth');
+const Payment = require('../models/Payment');
+const payments = require('../services/payments');
+const responsibleGaming = require('../services/responsibleGaming');
+const { userRoom, emitWalletUpdated } = require('../utils/socketRooms');
+
+// Socket.io instance will be set from server.js
+let io;
+
+const setSocketIO = (socketIO) => {
+  io = socketIO;
+};
+
+/**
+ * Tells a player their payment succeeded or failed
+ */
+function emitPaymentUpdated(payment, newBalance) {
+  if (io) {
+    io.to(userRoom(payment.user)).emit('paymentUpdated', {
+      paymentId: payment._id,
+      amount: payment.amount,
+      status: payment.status,
+      failureReason: payment.failureReason
+    });
+  }
+  if (newBalance !== null) {
+    emitWalletUpdated(io, payment.user, newBalance);
+  }
+}
+
+/**
+ * Start a deposit through a payment provider (players only)
+ * Body: amount, provider (optional, the default provider otherwise)
+ * POST /api/payments/deposits
+ */
+router.post('/deposits', auth, async (req, res) => {
+  try {
+    const { amount, provider } = req.body;
+
+    if (req.user.role !== 'player') {
+      return res.status(403).json({ error: 'Only players can make deposits' });
+    }
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0.01) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+
+    const limitError = await responsibleGaming.checkCanDeposit(req.user._id, amount);
+    if (limitError) {
+      return res.status(403).json({ error: limitError });
+    }
+
+    const { payment, error } = await payments.startDeposit(req.user, amount, provider);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(201).json({
+      message: 'Deposit started',
+      paymentId: payment._id,
+      provider: payment.provider,
+      amount: payment.amount,
+      checkoutUrl: payment.checkoutUrl
+    });
+  } catch (error) {
+    console.error('Error starting deposit:', error);
+    res.status(500).json({ error: 'Error starting deposit' });
+  }
+});
+
+/**
+ * List the current player's payments
+ * GET /api/payments/mine
+ */
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const list = await Payment.find({ user: req.user._id })
+      .select('-webhookEvents')
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.json({ payments: list });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({ error: 'Error fetching payments' });
+  }
+});
+
+/**
+ * Webhook receiver, called by the payment provider (signed, no user auth)
+ * POST /api/payments/webhooks/:provider
+ */
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const result = await payments.handleWebhook(req.params.provider, req.rawBody, req.headers);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    if (result.changed) {
+      emitPaymentUpdated(result.payment, result.newBalance);
+    }
+
+    res.json({ received: true, duplicate: !result.changed });
+  } catch (error) {
+    console.error('Error processing payment webhook:', error);
+    res.status(500).json({ error: 'Error processing payment webhook' });
+  }
+});
+
+/**
+ * Make the mock gateway send the webhook(s) for a player's payment (staff who adjust wallets)
+ * Body: outcome ('success', 'failure' or 'duplicate')
+ * Only available while the mock provider is enabled.
+ * POST /api/payments/mock/:paymentId/simulate
+ */
+router.post('/mock/:paymentId/simulate', requirePermission('wallet:adjust'), async (req, res) => {
+  try {
+    const { outcome = 'success' } = req.body;
+    const { mockProvider } = payments;
+
+    if (!payments.getProvider(mockProvider.name)) {
+      return res.status(404).json({ error: 'Mock payment provider is not enabled' });
+    }
+
+    if (!['success', 'failure', 'duplicate'].includes(outcome)) {
+      return res.status(400).json({ error: 'outcome must be success, failure or duplicate' });
+    }
+
+    const payment = await Payment.findOne({
+      _id: req.params.paymentId,
+      provider: mockProvider.name
+    });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    // Delivered through the same verification and processing as a real webhook
+    const deliveries = [];
+    for (const webhook of mockProvider.simulateWebhooks(payment, outcome)) {
+      const result = await payments.handleWebhook(mockProvider.name, webhook.rawBody, webhook.headers);
+      if (result.error) {
+        deliveries.push({ error: result.error });
+        continue;
+      }
+      if (result.changed) {
+        emitPaymentUpdated(result.payment, result.newBalance);
+      }
+      deliveries.push({ received: true, duplicate: !result.changed });
+    }
+
+    const updatedPayment = await Payment.findById(payment._id).select('-webhookEvents');
+
+    res.json({
+      message: `Simulated ${outcome}`,
+      deliveries,
+      payment: updatedPayment
+    });
+  } catch (error) {
+    console.error('Error simulating payment webhook:', error);
+    res.status(500).json({ error: 'Error simulating payment webhook' });
+  }
+});
+
+module.exports = { router, setSocketIO };
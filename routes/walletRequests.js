@@ -0,0 +1,341 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth, requirePermission } = require('../middleware/auth');
+const WalletRequest = require('../models/WalletRequest');
+const ledger = require('../services/ledger');
+const responsibleGaming = require('../services/responsibleGaming');
+const { userRoom, emitWalletUpdated } = require('../utils/socketRooms');
+
+// Socket.io instance will be set from server.js
+let io;
+
+const setSocketIO = (socketIO) => {
+  io = socketIO;
+};
+
+/**
+ * Validates the amount, method and reference of a new request
+ * Returns an error message, or null if the input is valid
+ */
+function validateRequestInput({ amount, method, reference }) {
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0.01) {
+    return 'Amount must be a positive number';
+  }
+  if (!method || typeof method !== 'string' || !method.trim()) {
+    return 'Payment method is required';
+  }
+  if (!reference || typeof reference !== 'string' || !reference.trim()) {
+    return 'Reference is required';
+  }
+  return null;
+}
+
+/**
+ * The ledger transfer that processes a request once it is approved, rejected
+ * or cancelled (null when no money moves)
+ */
+function processingTransfer(request) {
+  const { user, amount, method, reference } = request;
+
+  if (request.type === 'deposit') {
+    return request.status === 'approved' ? {
+      type: 'deposit',
+      from: ledger.external(),
+      to: ledger.wallet(user),
+      amount,
+      description: `Deposit of ${amount} Birr via ${method} (ref ${reference})`
+    } : null;
+  }
+
+  return request.status === 'approved' ? {
+    type: 'withdrawal',
+    from: ledger.pendingWithdrawal(user),
+    to: ledger.external(),
+    amount,
+    description: `Withdrawal of ${amount} Birr via ${method} to ${reference}`
+  } : {
+    type: 'withdrawal_release',
+    from: ledger.pendingWithdrawal(user),
+    to: ledger.wallet(user),
+    amount,
+    description: `Withdrawal request ${request.status} - ${amount} Birr given back`
+  };
+}
+
+/**
+ * Approves, rejects or cancels a pending request and moves its money, in one
+ * MongoDB transaction. The request is claimed inside it, so it is only ever
+ * processed once.
+ *
+ * @param {Object} filter - Which request (and whose, for a player cancelling their own)
+ * @param {Object} update - status plus the review fields to set
+ * @returns {Object|null} - { request, newBalance }, or null if no pending request matched
+ */
+async function processRequest(filter, update) {
+  let result = null;
+
+  await mongoose.connection.transaction(async (session) => {
+    result = null;
+
+    const request = await WalletRequest.findOneAndUpdate(
+      { ...filter, status: 'pending' },
+      { $set: update },
+      { new: true, session }
+    );
+    if (!request) {
+      return;
+    }
+
+    let newBalance = null;
+    const transfer = processingTransfer(request);
+    if (transfer) {
+      const { entry, balances } = await ledger.transfer({ ...transfer, performedBy: update.reviewedBy }, session);
+      if (request.status === 'approved') {
+        request.ledgerEntry = entry._id;
+        await request.save({ session });
+      }
+      if (balances.length > 0) {
+        newBalance = balances[0].balanceAfter;
+      }
+    }
+
+    result = { request, newBalance };
+  });
+
+  return result;
+}
+
+/**
+ * Tells a player their request was processed
+ */
+function emitRequestUpdated(request, newBalance) {
+  if (io) {
+    io.to(userRoom(request.user)).emit('walletRequestUpdated', {
+      requestId: request._id,
+      type: request.type,
+      amount: request.amount,
+      status: request.status,
+      rejectionReason: request.rejectionReason
+    });
+  }
+  if (newBalance !== null) {
+    emitWalletUpdated(io, request.user, newBalance);
+  }
+}
+
+// ============= PLAYER REQUESTS =============
+
+/**
+ * Submit a deposit or withdrawal request (players only)
+ * A withdrawal holds its amount from the wallet until it is processed.
+ * POST /api/wallet-requests/deposits
+ * POST /api/wallet-requests/withdrawals
+ */
+router.post('/:kind(deposits|withdrawals)', auth, async (req, res) => {
+  try {
+    const type = req.params.kind === 'deposits' ? 'deposit' : 'withdrawal';
+
+    if (req.user.role !== 'player') {
+      return res.status(403).json({ error: 'Only players can submit wallet requests' });
+    }
+
+    const inputError = validateRequestInput(req.body);
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const { amount, method, reference } = req.body;
+
+    if (type === 'deposit') {
+      const limitError = await responsibleGaming.checkCanDeposit(req.user._id, amount);
+      if (limitError) {
+        return res.status(403).json({ error: limitError });
+      }
+    }
+
+    let request;
+    let newBalance = null;
+
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        [request] = await WalletRequest.create([{
+          user: req.user._id,
+          type,
+          amount,
+          method: method.trim(),
+          reference: reference.trim()
+        }], { session });
+
+        if (type === 'withdrawal') {
+          const { balances: [balance] } = await ledger.transfer({
+            type: 'withdrawal_hold',
+            from: ledger.wallet(req.user._id),
+            to: ledger.pendingWithdrawal(req.user._id),
+            amount,
+            description: `Withdrawal request of ${amount} Birr - held until it is processed`
+          }, session);
+          newBalance = balance.balanceAfter;
+        }
+      });
+    } catch (error) {
+      if (error.message === ledger.INSUFFICIENT_BALANCE) {
+        return res.status(400).json({ error: 'Insufficient wallet balance' });
+      }
+      throw error;
+    }
+
+    if (newBalance !== null) {
+      emitWalletUpdated(io, req.user._id, newBalance);
+    }
+
+    res.status(201).json({
+      message: type === 'deposit' ? 'Deposit request submitted' : 'Withdrawal request submitted',
+      request,
+      wallet: newBalance !== null ? newBalance : req.user.wallet
+    });
+  } catch (error) {
+    console.error('Error submitting wallet request:', error);
+    res.status(500).json({ error: 'Error submitting wallet request' });
+  }
+});
+
+/**
+ * List the current player's requests and what their pending withdrawals hold
+ * GET /api/wallet-requests/mine
+ */
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const requests = await WalletRequest.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+
+    const heldForWithdrawals = requests
+      .filter(request => request.type === 'withdrawal' && request.status === 'pending')
+      .reduce((sum, request) => sum + request.amount, 0);
+
+    res.json({ requests, heldForWithdrawals });
+  } catch (error) {
+    console.error('Error fetching wallet requests:', error);
+    res.status(500).json({ error: 'Error fetching wallet requests' });
+  }
+});
+
+/**
+ * Cancel one of the current player's pending requests
+ * POST /api/wallet-requests/:requestId/cancel
+ */
+router.post('/:requestId/cancel', auth, async (req, res) => {
+  try {
+    const result = await processRequest(
+      { _id: req.params.requestId, user: req.user._id },
+      { status: 'cancelled' }
+    );
+    if (!result) {
+      return res.status(404).json({ error: 'No pending request found' });
+    }
+
+    emitRequestUpdated(result.request, result.newBalance);
+
+    res.json({
+      message: 'Request cancelled',
+      request: result.request
+    });
+  } catch (error) {
+    console.error('Error cancelling wallet request:', error);
+    res.status(500).json({ error: 'Error cancelling wallet request' });
+  }
+});
+
+// ============= ADMIN QUEUE =============
+
+/**
+ * List requests, oldest first (Admin only)
+ * Query: status (default pending), type
+ * GET /api/wallet-requests
+ */
+router.get('/', requirePermission('wallet:review'), async (req, res) => {
+  try {
+    const { status = 'pending', type, limit = 100 } = req.query;
+    const filter = { status };
+    if (type) {
+      filter.type = type;
+    }
+
+    const requests = await WalletRequest.find(filter)
+      .sort({ createdAt: 1 })
+      .limit(parseInt(limit))
+      .populate('user', 'username wallet')
+      .populate('reviewedBy', 'username')
+      .lean();
+
+    res.json({ requests });
+  } catch (error) {
+    console.error('Error fetching wallet request queue:', error);
+    res.status(500).json({ error: 'Error fetching wallet request queue' });
+  }
+});
+
+/**
+ * Approve a pending request (Admin only)
+ * A deposit is credited to the wallet, a withdrawal's held amount is paid out.
+ * POST /api/wallet-requests/:requestId/approve
+ */
+router.post('/:requestId/approve', requirePermission('wallet:review'), async (req, res) => {
+  try {
+    const result = await processRequest(
+      { _id: req.params.requestId },
+      { status: 'approved', reviewedBy: req.user._id, reviewedAt: new Date() }
+    );
+    if (!result) {
+      return res.status(404).json({ error: 'No pending request found' });
+    }
+
+    emitRequestUpdated(result.request, result.newBalance);
+
+    res.json({
+      message: 'Request approved',
+      request: result.request
+    });
+  } catch (error) {
+    console.error('Error approving wallet request:', error);
+    res.status(500).json({ error: 'Error approving wallet request' });
+  }
+});
+
+/**
+ * Reject a pending request (Admin only)
+ * A withdrawal's held amount goes back to the wallet.
+ * POST /api/wallet-requests/:requestId/reject
+ */
+router.post('/:requestId/reject', requirePermission('wallet:review'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const result = await processRequest(
+      { _id: req.params.requestId },
+      {
+        status: 'rejected',
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        rejectionReason: typeof reason === 'string' ? reason.trim() : undefined
+      }
+    );
+    if (!result) {
+      return res.status(404).json({ error: 'No pending request found' });
+    }
+
+    emitRequestUpdated(result.request, result.newBalance);
+
+    res.json({
+      message: 'Request rejected',
+      request: result.request
+    });
+  } catch (error) {
+    console.error('Error rejecting wallet request:', error);
+    res.status(500).json({ error: 'Error rejecting wallet request' });
+  }
+});
+
+module.exports = { router, setSocketIO };
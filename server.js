@@ -4,6 +4,9 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
+const { socketAuth } = require('./middleware/auth');
+const User = require('./models/User');
+const { userRoom, adminRoom, gameRoom, findGame, isGameMember, canJoinGameRoom } = require('./utils/socketRooms');
 
 const app = express();
 const server = http.createServer(app);
@@ -15,6 +18,17 @@ const io = socketIo(server, {
   }
 });
 
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client's address
+// (rate limits count per IP)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  if (trustProxy === 'true') {
+    app.set('trust proxy', true);
+  } else {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+  }
+}
+
 // Middleware
 app.use(cors({
   origin: "*",
@@ -22,51 +36,142 @@ app.use(cors({
   credentials: true,
   allowedHeaders: ["Content-Type", "Authorization"]
 }));
-app.use(express.json());
+// Keep the raw body too, payment webhooks are signed over it
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Import Letter Bingo routes and set Socket.io
-const { router: letterBingoRouter, setSocketIO: setLetterBingoIO } = require('./routes/letterBingo');
+const { router: letterBingoRouter, setSocketIO: setLetterBingoIO, resumeLetterDrawing } = require('./routes/letterBingo');
 setLetterBingoIO(io);
 
 // Import Number Bingo routes and set Socket.io
-const { router: bingoRouter, setSocketIO: setBingoIO } = require('./routes/bingo');
+const {
+  router: bingoRouter,
+  setSocketIO: setBingoIO,
+  resumeAutoCalling,
+  startExpiredGameSweeper,
+  startStartPolicyScheduler,
+  registerSocketHandlers: registerBingoSocketHandlers
+} = require('./routes/bingo');
 setBingoIO(io);
 
+// Import Number Bingo templates / schedules routes and set Socket.io
+const { router: bingoSchedulesRouter, setSocketIO: setBingoSchedulesIO, startScheduleRunner } = require('./routes/bingoSchedules');
+setBingoSchedulesIO(io);
+
 // Import Admin Management routes and set Socket.io
-const { router: adminManagementRouter, setSocketIO: setAdminManagementIO } = require('./routes/adminManagement');
+const { router: adminManagementRouter, setSocketIO: setAdminManagementIO, startReconcileJob } = require('./routes/adminManagement');
 setAdminManagementIO(io);
 
+// Import player deposit / withdrawal request routes and set Socket.io
+const { router: walletRequestsRouter, setSocketIO: setWalletRequestsIO } = require('./routes/walletRequests');
+setWalletRequestsIO(io);
+
+// Import payment provider routes (deposits and webhooks) and set Socket.io
+const { router: paymentsRouter, setSocketIO: setPaymentsIO } = require('./routes/payments');
+setPaymentsIO(io);
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/games', require('./routes/games'));
 app.use('/api/letter-bingo', letterBingoRouter);
 app.use('/api/bingo', bingoRouter);
+app.use('/api/bingo-schedules', bingoSchedulesRouter);
 app.use('/api/admin-management', adminManagementRouter);
+app.use('/api/wallet-requests', walletRequestsRouter);
+app.use('/api/payments', paymentsRouter);
+
+// Socket.io connections must present a valid JWT
+io.use(socketAuth);
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
-  console.log('New client connected:', socket.id);
+  const user = socket.user;
+  console.log('New client connected:', socket.id, user.username);
+
+  // Private rooms for wallet / card events and admin dashboards
+  socket.join(userRoom(user._id));
+  if (user.isAdmin || user.isSuperAdmin) {
+    socket.join(adminRoom(user._id));
+  }
   
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
   
-  // Join a specific game room
-  socket.on('joinGameRoom', (gameId) => {
-    socket.join(`game-${gameId}`);
-    console.log(`Socket ${socket.id} joined room: game-${gameId}`);
+  // Join a specific game room (players of the game and its admin only)
+  socket.on('joinGameRoom', async (gameId, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    try {
+      if (!(await canJoinGameRoom(user, gameId))) {
+        return reply({ joined: false, error: 'You are not part of this game' });
+      }
+
+      socket.join(gameRoom(gameId));
+      console.log(`Socket ${socket.id} joined room: ${gameRoom(gameId)}`);
+      reply({ joined: true });
+    } catch (error) {
+      console.error('Error joining game room:', error);
+      reply({ joined: false, error: 'Error joining game room' });
+    }
+  });
+  
+  // Reconnecting player catches up: { gameId, lastCallIndex } where lastCallIndex
+  // is the number of calls / letters the client has seen. Rejoins the game room
+  // and replies with the missed calls, the player's marks, winners and pause state.
+  socket.on('resync', async (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : (state) => socket.emit('resync', state);
+    try {
+      const game = data && data.gameId ? await findGame(data.gameId) : null;
+      if (!game || !isGameMember(user, game)) {
+        return reply({ error: 'You are not part of this game' });
+      }
+
+      socket.join(gameRoom(game.gameId));
+      reply(await game.getResyncState(user._id, data.lastCallIndex));
+    } catch (error) {
+      console.error('Error resyncing game state:', error);
+      reply({ error: 'Error resyncing game state' });
+    }
   });
   
   // Leave a game room
   socket.on('leaveGameRoom', (gameId) => {
-    socket.leave(`game-${gameId}`);
-    console.log(`Socket ${socket.id} left room: game-${gameId}`);
+    socket.leave(gameRoom(gameId));
+    console.log(`Socket ${socket.id} left room: ${gameRoom(gameId)}`);
   });
+
+  // Number Bingo events (BINGO claims)
+  registerBingoSocketHandlers(socket);
 });
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(async () => {
+    console.log('Connected to MongoDB');
+
+    // Give users from before roles existed the role of their old admin flags
+    const migratedUsers = await User.migrateLegacyRoles();
+    if (migratedUsers > 0) {
+      console.log(`Assigned roles to ${migratedUsers} existing users`);
+    }
+
+    // Pick up number calling / letter drawing for games left running before a restart
+    await resumeAutoCalling();
+    await resumeLetterDrawing();
+
+    // Cancel and refund games nobody started before their ready deadline
+    startExpiredGameSweeper();
+    // Start scheduled / auto-start games when their start policy allows
+    startStartPolicyScheduler();
+    // Create games from recurring schedules
+    startScheduleRunner();
+    // Check every wallet against the double-entry ledger
+    startReconcileJob();
+  })
   .catch((err) => console.error('MongoDB connection error:', err));
 
 const PORT = process.env.PORT || 2023;
@@ -0,0 +1,255 @@
+const BingoGameSession = require('../models/BingoGameSession');
+const User = require('../models/User');
+const Counter = require('../models/Counter');
+const WinningPattern = require('../models/WinningPattern');
+const Jackpot = require('../models/Jackpot');
+const { BUILT_IN_PATTERN_NAMES } = require('../utils/winningPatterns');
+const { MAX_DECK_SIZE, DEFAULT_DECK_SIZE } = require('../utils/cardDeck');
+
+/**
+ * Resolves a winning pattern name to what a game stores: built-in patterns
+ * by name, saved custom patterns together with a snapshot of their masks.
+ * Returns null if there is no such pattern.
+ */
+async function resolveWinningPattern(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  if (BUILT_IN_PATTERN_NAMES.includes(name)) {
+    return { name, customPatternMasks: undefined };
+  }
+
+  const customPattern = await WinningPattern.findOne({ name: name.toLowerCase() });
+  return customPattern ? { name: customPattern.name, customPatternMasks: customPattern.masks } : null;
+}
+
+/**
+ * Validates Number Bingo game settings (the body of POST /api/bingo/create,
+ * also stored by game templates) and fills in the defaults.
+ *
+ * @param {Object} input - Game settings as sent by the admin
+ * @param {Object} options
+ * @param {Boolean} options.allowStartAt - Whether startPolicy.startAt may be given (not for templates)
+ * @returns {Object} - { settings } ready for createBingoGame(), or { error }
+ */
+async function validateGameSettings(input, { allowStartAt = true } = {}) {
+  const { maxPlayers, maxCardsPerPlayer, deckSize, winningPattern, prizeStages, autoCallInterval, markingMode, claimRules, readyTimeoutMinutes, startPolicy, jackpot, profitPercentage, playerEntryFee } = input;
+
+  // Validate inputs
+  if (!maxPlayers || maxPlayers < 2 || maxPlayers > 50) {
+    return { error: 'maxPlayers must be between 2 and 50' };
+  }
+
+  if (maxCardsPerPlayer !== undefined && (!Number.isInteger(maxCardsPerPlayer) || maxCardsPerPlayer < 1 || maxCardsPerPlayer > 6)) {
+    return { error: 'maxCardsPerPlayer must be between 1 and 6' };
+  }
+
+  // The deck must hold enough cards for a full game
+  const cardsNeeded = maxPlayers * (maxCardsPerPlayer || 1);
+  const finalDeckSize = deckSize !== undefined ? deckSize : Math.max(DEFAULT_DECK_SIZE, cardsNeeded);
+  if (!Number.isInteger(finalDeckSize) || finalDeckSize < cardsNeeded || finalDeckSize > MAX_DECK_SIZE) {
+    return { error: `deckSize must be between ${cardsNeeded} and ${MAX_DECK_SIZE}` };
+  }
+
+  // Winning pattern is either built-in or the name of a saved custom pattern
+  const resolvedPattern = await resolveWinningPattern(winningPattern || 'any-line');
+  if (!resolvedPattern) {
+    return { error: 'Invalid winning pattern' };
+  }
+
+  // Optional staged prizes, e.g. [{ pattern: 'any-line', sharePercentage: 20 }, ..., { pattern: 'full-house', sharePercentage: 50 }]
+  const resolvedStages = [];
+  if (prizeStages !== undefined) {
+    if (!Array.isArray(prizeStages) || prizeStages.length < 2 || prizeStages.length > 5) {
+      return { error: 'prizeStages must list between 2 and 5 stages' };
+    }
+
+    for (const stage of prizeStages) {
+      const stagePattern = await resolveWinningPattern(stage && stage.pattern);
+      if (!stagePattern) {
+        return { error: `Invalid prize stage pattern: ${stage && stage.pattern}` };
+      }
+      if (typeof stage.sharePercentage !== 'number' || stage.sharePercentage < 1 || stage.sharePercentage > 100) {
+        return { error: 'Each prize stage needs a sharePercentage between 1 and 100' };
+      }
+      resolvedStages.push({
+        pattern: stagePattern.name,
+        customPatternMasks: stagePattern.customPatternMasks,
+        sharePercentage: stage.sharePercentage
+      });
+    }
+
+    const totalShare = resolvedStages.reduce((sum, stage) => sum + stage.sharePercentage, 0);
+    if (Math.abs(totalShare - 100) > 0.001) {
+      return { error: 'Prize stage shares must add up to 100' };
+    }
+  }
+  // A staged game is won outright by its last stage
+  const finalStage = resolvedStages[resolvedStages.length - 1];
+
+  const validMarkingModes = ['auto', 'manual'];
+  if (markingMode && !validMarkingModes.includes(markingMode)) {
+    return { error: 'Invalid marking mode' };
+  }
+
+  // Claim rules only matter in manual mode, where players declare BINGO themselves
+  const validPenalties = ['warning', 'lockout', 'disqualify'];
+  if (claimRules?.falseClaimPenalty && !validPenalties.includes(claimRules.falseClaimPenalty)) {
+    return { error: 'Invalid false claim penalty' };
+  }
+
+  const validLateClaimRules = ['accept', 'reject'];
+  if (claimRules?.lateClaimRule && !validLateClaimRules.includes(claimRules.lateClaimRule)) {
+    return { error: 'Invalid late claim rule' };
+  }
+
+  if (claimRules?.lockoutSeconds !== undefined &&
+      (typeof claimRules.lockoutSeconds !== 'number' || claimRules.lockoutSeconds < 5 || claimRules.lockoutSeconds > 600)) {
+    return { error: 'lockoutSeconds must be between 5 and 600' };
+  }
+
+  // Games still waiting for players after this long are cancelled and refunded
+  if (readyTimeoutMinutes !== undefined &&
+      (!Number.isInteger(readyTimeoutMinutes) || readyTimeoutMinutes < 5 || readyTimeoutMinutes > 1440)) {
+    return { error: 'readyTimeoutMinutes must be between 5 and 1440' };
+  }
+
+  // Start policy: { minPlayers, startAt, autoStart, countdownSeconds }, all optional
+  if (startPolicy?.minPlayers !== undefined &&
+      (!Number.isInteger(startPolicy.minPlayers) || startPolicy.minPlayers < 2 || startPolicy.minPlayers > maxPlayers)) {
+    return { error: `minPlayers must be between 2 and ${maxPlayers}` };
+  }
+
+  // Optional progressive jackpot: 'admin' (the admin's own pool) or 'global'
+  if (jackpot !== undefined && jackpot !== null && !['admin', 'global'].includes(jackpot)) {
+    return { error: 'jackpot must be admin or global' };
+  }
+
+  const startAt = startPolicy?.startAt ? new Date(startPolicy.startAt) : undefined;
+  if (startAt && !allowStartAt) {
+    return { error: 'startAt is set by the schedule' };
+  }
+  if (startAt && (isNaN(startAt.getTime()) || startAt <= new Date())) {
+    return { error: 'startAt must be a date in the future' };
+  }
+
+  if (startPolicy?.autoStart !== undefined && typeof startPolicy.autoStart !== 'boolean') {
+    return { error: 'autoStart must be true or false' };
+  }
+
+  if (startPolicy?.countdownSeconds !== undefined &&
+      (!Number.isInteger(startPolicy.countdownSeconds) || startPolicy.countdownSeconds < 0 || startPolicy.countdownSeconds > 300)) {
+    return { error: 'countdownSeconds must be between 0 and 300' };
+  }
+
+  return {
+    settings: {
+      maxPlayers,
+      maxCardsPerPlayer: maxCardsPerPlayer || 1,
+      deckSize: finalDeckSize,
+      winningPattern: finalStage ? finalStage.pattern : resolvedPattern.name,
+      customPatternMasks: finalStage ? finalStage.customPatternMasks : resolvedPattern.customPatternMasks,
+      prizeStages: resolvedStages,
+      autoCallInterval: autoCallInterval || 3000,
+      markingMode: markingMode || 'auto',
+      claimRules: {
+        falseClaimPenalty: claimRules?.falseClaimPenalty || 'warning',
+        lockoutSeconds: claimRules?.lockoutSeconds || 30,
+        lateClaimRule: claimRules?.lateClaimRule || 'accept'
+      },
+      readyTimeoutMinutes: readyTimeoutMinutes || 60,
+      startPolicy: {
+        minPlayers: startPolicy?.minPlayers || maxPlayers,
+        startAt: startAt,
+        autoStart: startPolicy?.autoStart || false,
+        countdownSeconds: startPolicy?.countdownSeconds !== undefined ? startPolicy.countdownSeconds : 10
+      },
+      jackpotScope: jackpot || undefined,
+      profitPercentage: profitPercentage !== undefined ? profitPercentage : 10,
+      playerEntryFee: playerEntryFee !== undefined ? playerEntryFee : 10
+    }
+  };
+}
+
+/**
+ * Creates a Number Bingo game for an admin and charges its game cost.
+ *
+ * The cost comes from the admin's gameCredits configuration (set by the
+ * superadmin), falling back to the requested cost. Credits are taken
+ * atomically, so concurrent creations can't overdraw them; super admins
+ * don't pay.
+ *
+ * @param {Document} admin - The admin creating the game
+ * @param {Object} settings - Settings returned by validateGameSettings()
+ * @param {Number} requestedGameCost - Game cost asked for when none is configured
+ * @returns {Object} - { game, creditsRemaining }, or { error } if the admin can't pay
+ */
+async function createBingoGame(admin, settings, requestedGameCost) {
+  const configuredGameCost = admin.gameCredits?.get('number-bingo');
+  const finalGameCost = configuredGameCost !== undefined ? configuredGameCost : (requestedGameCost || 2);
+  let creditsRemaining = admin.credits;
+
+  // Check if admin has enough credits and deduct them (skip for super admin)
+  if (!admin.isSuperAdmin) {
+    const charged = await User.findOneAndUpdate(
+      { _id: admin._id, credits: { $gte: finalGameCost } },
+      { $inc: { credits: -finalGameCost } },
+      { new: true }
+    );
+    if (!charged) {
+      return {
+        error: `Insufficient credits. You need ${finalGameCost} credits to create this game. Current balance: ${admin.credits}`
+      };
+    }
+    creditsRemaining = charged.credits;
+    admin.credits = charged.credits;
+  }
+
+  try {
+    // Join the jackpot pool with its current settings
+    const { jackpotScope, ...gameSettings } = settings;
+    let jackpot;
+    if (jackpotScope) {
+      const pool = await Jackpot.findOrCreate(jackpotScope, admin._id);
+      jackpot = {
+        pool: pool._id,
+        contributionPercentage: pool.contributionPercentage,
+        maxCalls: pool.maxCalls
+      };
+    }
+
+    // Get the next game ID
+    const gameIdNum = await Counter.getNextSequence('bingoGameId');
+    const gameId = `BG${gameIdNum}`;
+
+    // Generate 4-digit PIN
+    const gamePin = Math.floor(1000 + Math.random() * 9000).toString();
+
+    const game = new BingoGameSession({
+      gameId,
+      gamePin,
+      ...gameSettings,
+      jackpot,
+      gameCost: finalGameCost,
+      gameCostPaid: admin.isSuperAdmin ? 0 : finalGameCost,
+      status: 'preparing',
+      players: [],
+      bingoCards: [],
+      calledNumbers: [],
+      winners: [],
+      createdBy: admin._id
+    });
+
+    await game.save();
+    return { game, creditsRemaining };
+  } catch (error) {
+    // Give the credits back if the game could not be saved
+    if (!admin.isSuperAdmin) {
+      await User.updateOne({ _id: admin._id }, { $inc: { credits: finalGameCost } });
+      admin.credits += finalGameCost;
+    }
+    throw error;
+  }
+}
+
+module.exports = { resolveWinningPattern, validateGameSettings, createBingoGame };
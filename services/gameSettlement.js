@@ -0,0 +1,504 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const BingoGameSession = require('../models/BingoGameSession');
+const WalletTransaction = require('../models/WalletTransaction');
+const Jackpot = require('../models/Jackpot');
+const ledger = require('./ledger');
+
+/**
+ * Splits a game's pot between the jackpot, the winners and the admin
+ * Total pot = the entry fees the game's escrow held when its first prize was
+ * settled. Jackpot games first put their contributionPercentage into the pool,
+ * the admin keeps profitPercentage of the rest.
+ * In staged games each stage pays its sharePercentage of the prize pool.
+ */
+function calculatePayout(game, winnerCount) {
+  const totalPot = game.escrow.pot;
+  const jackpotContribution = game.jackpot && game.jackpot.pool
+    ? (totalPot * game.jackpot.contributionPercentage) / 100
+    : 0;
+  const profitAmount = ((totalPot - jackpotContribution) * game.profitPercentage) / 100;
+  const prizePool = totalPot - jackpotContribution - profitAmount;
+  const stage = game.getCurrentStage();
+  const stagePrize = stage ? (prizePool * stage.sharePercentage) / 100 : prizePool;
+  const winningAmountPerWinner = winnerCount > 0 ? stagePrize / winnerCount : 0;
+
+  return { totalPot, jackpotContribution, profitAmount, prizePool, stagePrize, winningAmountPerWinner };
+}
+
+/**
+ * Moves a finished game's contribution from its escrow into its jackpot pool.
+ * The admin also gets a jackpot_contribution wallet entry (their wallet doesn't
+ * change, the money never reached it) so analytics can tell it from profit.
+ */
+async function contributeToJackpot(game, amount, session) {
+  await Jackpot.updateOne(
+    { _id: game.jackpot.pool },
+    { $inc: { balance: amount, totalContributed: amount } },
+    { session }
+  );
+  game.jackpot.contributed = amount;
+
+  const description = `Jackpot contribution from game ${game.gameId} - ${amount.toFixed(2)} Birr`;
+  const { entry } = await ledger.transfer({
+    type: 'jackpot_contribution',
+    from: ledger.gameEscrow(game.gameId),
+    to: ledger.jackpotPool(game.jackpot.pool),
+    amount,
+    gameId: game.gameId,
+    description
+  }, session);
+
+  const admin = await User.findById(game.createdBy).select('wallet').session(session);
+  await WalletTransaction.create([{
+    user: game.createdBy,
+    type: 'jackpot_contribution',
+    amount: amount,
+    balanceBefore: admin ? admin.wallet : 0,
+    balanceAfter: admin ? admin.wallet : 0,
+    gameId: game.gameId,
+    description,
+    ledgerEntry: entry._id
+  }], { session });
+}
+
+/**
+ * Pays a game's jackpot pool to its full house winners if the full house came
+ * within the pool's maxCalls. The pool is emptied atomically, so it is only
+ * ever paid once. Returns the new balances and the amount won.
+ */
+async function payJackpot(game, winners, session) {
+  const fullHouseWinners = winners.filter(winner => winner.pattern === 'full-house');
+  if (fullHouseWinners.length === 0 || game.calledNumbers.length > game.jackpot.maxCalls) {
+    return { balances: [] };
+  }
+
+  const pool = await Jackpot.findOneAndUpdate(
+    { _id: game.jackpot.pool, balance: { $gt: 0 } },
+    { $set: { balance: 0, lastWonAt: new Date(), lastWonGameId: game.gameId } },
+    { new: false, session }
+  );
+  if (!pool) {
+    return { balances: [] };
+  }
+
+  await Jackpot.updateOne({ _id: pool._id }, { $inc: { totalPaid: pool.balance } }, { session });
+  game.jackpot.won = pool.balance;
+
+  const share = pool.balance / fullHouseWinners.length;
+  const balances = [];
+  for (const winner of fullHouseWinners) {
+    const { balances: [balance] } = await ledger.transfer({
+      type: 'jackpot_win',
+      from: ledger.jackpotPool(pool._id),
+      to: ledger.wallet(winner.player),
+      amount: share,
+      gameId: game.gameId,
+      description: `Won the jackpot in game ${game.gameId} (full house in ${game.calledNumbers.length} calls) - ${share.toFixed(2)} Birr`
+    }, session);
+    balances.push({ userId: winner.player, newBalance: balance.balanceAfter });
+  }
+
+  return { balances, jackpotWon: pool.balance };
+}
+
+/**
+ * Claims the game's current prize for settlement through its settledAt field
+ * (the stage's own field in staged games). Returns false if already paid, or
+ * if the stored game is no longer at loadedStage (another path moved it on).
+ */
+async function claimSettlement(game, loadedStage, settledAt, session) {
+  const field = game.isStaged() ? `prizeStages.${game.currentStage}.settledAt` : 'settledAt';
+  // Games from before stages existed have no currentStage stored
+  const storedStage = loadedStage === 0 ? { $in: [0, null] } : loadedStage;
+  const claim = await BingoGameSession.updateOne(
+    { _id: game._id, currentStage: storedStage, [field]: { $exists: false } },
+    { $set: { [field]: settledAt } },
+    { session }
+  );
+  return claim.modifiedCount > 0;
+}
+
+/**
+ * The parts of a game settleGame() changes in memory, so a retried
+ * transaction can start over from the game as it was loaded
+ */
+function settlementState(game) {
+  return {
+    winnerCount: game.winners.length,
+    stageSettledAt: game.prizeStages.map(stage => stage.settledAt),
+    currentStage: game.currentStage,
+    status: game.status,
+    completedAt: game.completedAt,
+    settledAt: game.settledAt,
+    escrowPot: game.escrow.pot,
+    jackpotContributed: game.jackpot ? game.jackpot.contributed : undefined,
+    jackpotWon: game.jackpot ? game.jackpot.won : undefined
+  };
+}
+
+function restoreSettlementState(game, state) {
+  game.winners.splice(state.winnerCount);
+  state.stageSettledAt.forEach((settledAt, index) => {
+    game.prizeStages[index].settledAt = settledAt;
+  });
+  game.currentStage = state.currentStage;
+  game.status = state.status;
+  game.completedAt = state.completedAt;
+  game.settledAt = state.settledAt;
+  game.escrow.pot = state.escrowPot;
+  if (game.jackpot) {
+    game.jackpot.contributed = state.jackpotContributed;
+    game.jackpot.won = state.jackpotWon;
+  }
+}
+
+/**
+ * Records a Number Bingo game's winners and pays out the prize.
+ *
+ * The winners, the game's status, every wallet credit and the game_win /
+ * game_profit ledger entries are written in one MongoDB transaction
+ * (requires a replica set). Each prize is claimed inside that transaction,
+ * so a game (or a stage of a staged game) can never be paid twice.
+ *
+ * Single-prize games are completed. Staged games pay the current stage and
+ * move on to the next one, settling it straight away if a card already
+ * satisfies it; the game completes and the admin's profit is paid once the
+ * final stage is won. Jackpot games feed their pool when they complete, and
+ * a full house within the pool's maxCalls wins the whole pool.
+ *
+ * Every payout comes out of the game's escrow, which must be empty once the
+ * game completes; otherwise the whole settlement is rolled back.
+ *
+ * MongoDB may retry the transaction, so every attempt first puts the game
+ * back the way it was loaded before changing it again.
+ *
+ * @param {Document} game - The BingoGameSession being settled
+ * @param {Array} newWinners - Winner entries returned by checkForWinners()
+ * @returns {Array|null} - One payout per prize settled (with the new balance of
+ *   every wallet credited), or null if it was already paid
+ */
+async function settleGame(game, newWinners) {
+  let payouts = [];
+  const loadedState = settlementState(game);
+
+  await mongoose.connection.transaction(async (session) => {
+    payouts = [];
+    restoreSettlementState(game, loadedState);
+    const settledAt = new Date();
+    let winners = newWinners;
+
+    while (winners.length > 0) {
+      // Claim the prize; fails if another path already paid it
+      if (!(await claimSettlement(game, loadedState.currentStage, settledAt, session))) {
+        break;
+      }
+
+      // The first prize fixes the pot from what the escrow holds
+      if (game.escrow.pot === undefined) {
+        game.escrow.pot = await ledger.escrowBalance(game.gameId, session);
+      }
+
+      const payout = calculatePayout(game, winners.length);
+      const stage = game.getCurrentStage();
+      if (stage) {
+        stage.settledAt = settledAt;
+      }
+      winners.forEach(winner => game.winners.push(winner));
+
+      const prizeLabel = stage ? `stage ${game.currentStage + 1} (${stage.pattern}) of game` : 'game';
+      // New balance of every wallet credited, for the walletUpdated events
+      const balances = [];
+
+      // Pay each winner out of the game's escrow
+      for (const winner of winners) {
+        const { balances: [balance] } = await ledger.transfer({
+          type: 'game_win',
+          from: ledger.gameEscrow(game.gameId),
+          to: ledger.wallet(winner.player),
+          amount: payout.winningAmountPerWinner,
+          gameId: game.gameId,
+          description: `Won ${prizeLabel} ${game.gameId} - Prize ${payout.winningAmountPerWinner.toFixed(2)} Birr`
+        }, session);
+        balances.push({ userId: winner.player, newBalance: balance.balanceAfter });
+      }
+
+      const isFinalStage = game.isFinalStage();
+      if (isFinalStage) {
+        game.status = 'completed';
+        game.completedAt = settledAt;
+        game.settledAt = settledAt;
+
+        // Pay the admin's profit out of the game's escrow
+        const { balances: [adminBalance] } = await ledger.transfer({
+          type: 'game_profit',
+          from: ledger.gameEscrow(game.gameId),
+          to: ledger.wallet(game.createdBy),
+          amount: payout.profitAmount,
+          gameId: game.gameId,
+          description: `Profit from game ${game.gameId} - ${payout.profitAmount.toFixed(2)} Birr`
+        }, session);
+        balances.push({ userId: game.createdBy, newBalance: adminBalance.balanceAfter });
+
+        // Feed the jackpot pool before checking whether this game hit it
+        if (payout.jackpotContribution > 0) {
+          await contributeToJackpot(game, payout.jackpotContribution, session);
+        }
+      }
+
+      if (game.jackpot && game.jackpot.pool) {
+        const jackpot = await payJackpot(game, winners, session);
+        balances.push(...jackpot.balances);
+        payout.jackpotWon = jackpot.jackpotWon;
+      }
+
+      payouts.push({ stage: stage ? game.currentStage : undefined, ...payout, balances });
+
+      if (isFinalStage) {
+        // Everything the escrow held has been paid out
+        await ledger.closeEscrow(game.gameId, session);
+        break;
+      }
+
+      // Move on to the next stage, a card may already satisfy it
+      game.currentStage += 1;
+      winners = game.checkForWinners();
+    }
+
+    if (payouts.length === 0) {
+      return;
+    }
+
+    // Every prize paid moves the game on by exactly one stage, except the
+    // final one, which completes it
+    const stagesAdvanced = game.currentStage - loadedState.currentStage;
+    const expectedAdvance = payouts.length - (game.status === 'completed' ? 1 : 0);
+    if (stagesAdvanced !== expectedAdvance) {
+      throw new Error(
+        `Game ${game.gameId} would move ${stagesAdvanced} stages after paying ${payouts.length} prizes`
+      );
+    }
+
+    await game.save({ session });
+  });
+
+  return payouts.length > 0 ? payouts : null;
+}
+
+/**
+ * Refunds entry fees out of a game's escrow and returns the new balance
+ */
+async function refundEntryFees(userId, amount, gameId, description, session) {
+  const { balances: [balance] } = await ledger.transfer({
+    type: 'game_refund',
+    from: ledger.gameEscrow(gameId),
+    to: ledger.wallet(userId),
+    amount,
+    gameId,
+    description: `${description} - ${amount.toFixed(2)} Birr`
+  }, session);
+  return balance.balanceAfter;
+}
+
+// A game can be cancelled until it completes or pays its first prize
+const CANCELLABLE_STATUSES = ['preparing', 'ready', 'active', 'paused'];
+
+/**
+ * Game cost credits given back to the admin for a cancelled game, following
+ * the admin's gameCostRefundRule (set by the super admin)
+ */
+function gameCostRefund(game, admin) {
+  if (!admin) {
+    return 0;
+  }
+
+  // Games created before gameCostPaid was recorded: super admins never paid
+  const paid = game.gameCostPaid !== undefined ? game.gameCostPaid : (admin.isSuperAdmin ? 0 : game.gameCost);
+  const rule = admin.gameCostRefundRule || 'unstarted';
+
+  if (rule === 'always' || (rule === 'unstarted' && !game.startedAt)) {
+    return paid;
+  }
+  return 0;
+}
+
+/**
+ * Cancels a Number Bingo game and refunds what every player paid into it.
+ *
+ * The status change, every game_refund ledger entry and wallet credit and the
+ * admin's game cost refund are written in one MongoDB transaction. The
+ * cancellation is claimed inside it, so a game is never refunded twice and
+ * can't be cancelled once it completed or paid a prize. Refunds are worked
+ * out from the game's ledger (game_join + card_purchase entries), so each
+ * player gets back exactly what they were charged and the escrow ends empty.
+ * The draw seed is revealed as for a completed game.
+ *
+ * @param {Document} game - The BingoGameSession being cancelled
+ * @param {String} reason - Why the game was cancelled
+ * @returns {Object|null} - { refunds, gameCostRefunded }, or null if the game can't be cancelled
+ */
+async function cancelGame(game, reason) {
+  let result = null;
+
+  await mongoose.connection.transaction(async (session) => {
+    result = null;
+    const cancelledAt = new Date();
+
+    const claim = await BingoGameSession.updateOne(
+      {
+        _id: game._id,
+        status: { $in: CANCELLABLE_STATUSES },
+        'winners.0': { $exists: false },
+        refundedAt: { $exists: false }
+      },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: cancelledAt,
+          cancellationReason: reason,
+          refundedAt: cancelledAt
+        }
+      },
+      { session }
+    );
+    if (claim.modifiedCount === 0) {
+      return;
+    }
+
+    if (game.fairness && game.fairness.commitment) {
+      await BingoGameSession.updateOne(
+        { _id: game._id },
+        [{ $set: { 'fairness.revealedSeed': '$fairness.serverSeed' } }],
+        { session }
+      );
+    }
+
+    const entries = await ledger.paidIntoGame(game.gameId, session);
+    const refunds = [];
+
+    for (const entry of entries.filter(e => e.paid > 0)) {
+      const newBalance = await refundEntryFees(
+        entry._id, entry.paid, game.gameId, `Refund for cancelled game ${game.gameId}`, session
+      );
+      refunds.push({ userId: entry._id, amount: entry.paid, newBalance });
+    }
+    await ledger.closeEscrow(game.gameId, session);
+
+    // Give the admin's game cost credits back if their refund rule allows it
+    const admin = await User.findById(game.createdBy).session(session);
+    const gameCostRefunded = gameCostRefund(game, admin);
+    if (gameCostRefunded > 0) {
+      await User.updateOne({ _id: admin._id }, { $inc: { credits: gameCostRefunded } }, { session });
+    }
+    await BingoGameSession.updateOne({ _id: game._id }, { $set: { gameCostRefunded } }, { session });
+
+    result = { refunds, gameCostRefunded };
+  });
+
+  return result;
+}
+
+/**
+ * Ends a Number Bingo game that stops before its last prize is won (stopped
+ * by its admin, or every number called while nobody claimed).
+ *
+ * Before any prize was paid this is a cancellation: cancelGame() refunds every
+ * entry fee. Afterwards the game completes and whatever its escrow still holds
+ * (the unplayed prizes, the admin's profit and any jackpot contribution) is
+ * refunded to the players in proportion to what each paid in, so the escrow
+ * ends empty. The status change and every refund share one transaction.
+ *
+ * @param {Document} game - The BingoGameSession being ended
+ * @param {String} reason - Why the game ended early
+ * @returns {Object|null} - { cancelled, refunds, gameCostRefunded }, or null if the game already ended
+ */
+async function endUnfinishedGame(game, reason) {
+  if (game.winners.length === 0) {
+    const cancelled = await cancelGame(game, reason);
+    return cancelled ? { cancelled: true, ...cancelled } : null;
+  }
+
+  let result = null;
+
+  await mongoose.connection.transaction(async (session) => {
+    result = null;
+    const endedAt = new Date();
+
+    const claim = await BingoGameSession.updateOne(
+      { _id: game._id, status: { $in: CANCELLABLE_STATUSES }, 'winners.0': { $exists: true } },
+      { $set: { status: 'completed', completedAt: endedAt, settledAt: endedAt } },
+      { session }
+    );
+    if (claim.modifiedCount === 0) {
+      return;
+    }
+
+    if (game.fairness && game.fairness.commitment) {
+      await BingoGameSession.updateOne(
+        { _id: game._id },
+        [{ $set: { 'fairness.revealedSeed': '$fairness.serverSeed' } }],
+        { session }
+      );
+    }
+
+    const remaining = await ledger.escrowBalance(game.gameId, session);
+    const entries = (await ledger.paidIntoGame(game.gameId, session)).filter(e => e.paid > 0);
+    const totalPaid = entries.reduce((sum, entry) => sum + entry.paid, 0);
+    const refunds = [];
+
+    if (remaining > 0 && totalPaid > 0) {
+      for (const entry of entries) {
+        const amount = (remaining * entry.paid) / totalPaid;
+        const newBalance = await refundEntryFees(
+          entry._id, amount, game.gameId, `Refund of the unplayed prizes of game ${game.gameId}`, session
+        );
+        refunds.push({ userId: entry._id, amount, newBalance });
+      }
+    }
+    await ledger.closeEscrow(game.gameId, session);
+
+    result = { cancelled: false, refunds, gameCostRefunded: 0 };
+  });
+
+  return result;
+}
+
+/**
+ * Removes a player from a game that hasn't started and refunds what they paid.
+ *
+ * Leaving (seat and cards released) and the game_refund ledger entry are
+ * written in one MongoDB transaction.
+ *
+ * @param {Document} game - The BingoGameSession being left
+ * @param {ObjectId} playerId - The leaving player
+ * @returns {Object|null} - { game, refund, newBalance }, or null if the player could not leave
+ */
+async function leaveGame(game, playerId) {
+  const cardNumbers = game.getPlayerCards(playerId).map(card => card.cardNumber);
+  let result = null;
+
+  await mongoose.connection.transaction(async (session) => {
+    result = null;
+
+    const updatedGame = await BingoGameSession.releasePlayer(game, playerId, cardNumbers, session);
+    if (!updatedGame) {
+      return;
+    }
+
+    const [entry] = await ledger.paidIntoGame(game.gameId, session, playerId);
+    const refund = entry && entry.paid > 0 ? entry.paid : 0;
+    let newBalance = null;
+
+    if (refund > 0) {
+      newBalance = await refundEntryFees(
+        playerId, refund, game.gameId, `Refund for leaving game ${game.gameId}`, session
+      );
+    }
+
+    result = { game: updatedGame, refund, newBalance };
+  });
+
+  return result;
+}
+
+module.exports = { calculatePayout, settleGame, cancelGame, endUnfinishedGame, leaveGame };
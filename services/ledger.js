@@ -0,0 +1,337 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const BingoGameSession = require('../models/BingoGameSession');
+const LedgerEntry = require('../models/LedgerEntry');
+const WalletTransaction = require('../models/WalletTransaction');
+
+/**
+ * Double-entry ledger
+ *
+ * Every movement of money is a LedgerEntry whose postings add up to zero.
+ * User.wallet is a cached balance of the user's wallet account: transfer()
+ * moves it in the same MongoDB transaction that writes the entry, and records
+ * a WalletTransaction for every wallet it touched so wallet histories keep
+ * working. A game's escrow balance (BingoGameSession.escrow.balance) is moved
+ * the same way. reconcile() checks every wallet against its postings.
+ */
+
+const WALLET_ACCOUNTS = ['player_wallet', 'admin_wallet'];
+// Rounding left over from splitting prizes isn't a mismatch
+const TOLERANCE = 0.005;
+const INSUFFICIENT_BALANCE = 'INSUFFICIENT_BALANCE';
+
+// A user's wallet; recorded as a player_wallet or admin_wallet posting
+const wallet = (userId) => ({ account: 'wallet', user: userId });
+const gameEscrow = (gameId) => ({ account: 'game_escrow', gameId });
+const jackpotPool = (jackpotId) => ({ account: 'jackpot_pool', jackpot: jackpotId });
+const houseProfit = () => ({ account: 'house_profit' });
+const pendingWithdrawal = (userId) => ({ account: 'pending_withdrawal', user: userId });
+const external = () => ({ account: 'external' });
+
+/**
+ * Wallet account type of a user (staff and players have separate accounts)
+ */
+function walletAccount(user) {
+  return user.isAdmin ? 'admin_wallet' : 'player_wallet';
+}
+
+/**
+ * Applies a wallet posting to User.wallet; a debit only goes through if the
+ * balance covers it
+ */
+async function moveWallet(posting, session) {
+  const filter = { _id: posting.user };
+  if (posting.amount < 0) {
+    filter.wallet = { $gte: -posting.amount };
+  }
+
+  const user = await User.findOneAndUpdate(filter, { $inc: { wallet: posting.amount } }, { new: true, session });
+  if (!user) {
+    throw new Error(posting.amount < 0 ? INSUFFICIENT_BALANCE : `User ${posting.user} not found`);
+  }
+  return user;
+}
+
+/**
+ * Applies a game_escrow posting to the game's escrow balance; the escrow can't
+ * pay out more than it holds
+ */
+async function moveEscrow(posting, session) {
+  const filter = { gameId: posting.gameId };
+  if (posting.amount < 0) {
+    filter['escrow.balance'] = { $gte: -posting.amount - TOLERANCE };
+  }
+
+  const game = await BingoGameSession.findOneAndUpdate(
+    filter,
+    { $inc: { 'escrow.balance': posting.amount } },
+    { new: true, session }
+  ).select('escrow');
+  if (!game) {
+    throw new Error(`Escrow of game ${posting.gameId} can't cover ${-posting.amount} Birr`);
+  }
+  return game.escrow.balance;
+}
+
+/**
+ * Reads a game's escrow balance inside a transaction
+ */
+async function escrowBalance(gameId, session) {
+  const game = await BingoGameSession.findOne({ gameId }).select('escrow').session(session);
+  return game ? game.escrow.balance : 0;
+}
+
+/**
+ * Checks that a settled game's escrow is empty. Rounding left over from
+ * splitting the pot goes to house_profit; anything more aborts the transaction.
+ */
+async function closeEscrow(gameId, session) {
+  const balance = await escrowBalance(gameId, session);
+  if (Math.abs(balance) > TOLERANCE) {
+    throw new Error(`Escrow of game ${gameId} still holds ${balance} Birr after settlement`);
+  }
+
+  if (balance !== 0) {
+    await transferInSession({
+      type: 'escrow_rounding',
+      from: gameEscrow(gameId),
+      to: houseProfit(),
+      amount: balance,
+      gameId,
+      description: `Rounding left in the escrow of game ${gameId}`
+    }, session);
+  }
+}
+
+/**
+ * Moves money from one account to another.
+ *
+ * Runs in the given session's transaction, or in a transaction of its own.
+ * Throws an INSUFFICIENT_BALANCE error if a wallet can't cover the debit.
+ *
+ * @param {Object} details - { type, from, to, amount, gameId, description, performedBy }
+ * @param {ClientSession} session - Optional MongoDB session
+ * @returns {Object} - { entry, balances } with balanceBefore / balanceAfter of every wallet moved
+ */
+async function transfer(details, session) {
+  if (!session) {
+    let result;
+    await mongoose.connection.transaction(async (transactionSession) => {
+      result = await transferInSession(details, transactionSession);
+    });
+    return result;
+  }
+  return transferInSession(details, session);
+}
+
+async function transferInSession({ type, from, to, amount, gameId, description, performedBy }, session) {
+  const postings = [{ ...from, amount: -amount }, { ...to, amount }];
+
+  for (const posting of postings.filter(p => p.account === 'game_escrow')) {
+    await moveEscrow(posting, session);
+  }
+
+  const balances = [];
+  for (const posting of postings.filter(p => p.account === 'wallet')) {
+    const user = await moveWallet(posting, session);
+    posting.account = walletAccount(user);
+    balances.push({
+      userId: posting.user,
+      amount: posting.amount,
+      balanceBefore: user.wallet - posting.amount,
+      balanceAfter: user.wallet
+    });
+  }
+
+  const [entry] = await LedgerEntry.create([{ type, postings, gameId, description, performedBy }], { session });
+  await WalletTransaction.insertMany(balances.map(balance => ({
+    user: balance.userId,
+    type,
+    amount: balance.amount,
+    balanceBefore: balance.balanceBefore,
+    balanceAfter: balance.balanceAfter,
+    gameId,
+    description,
+    performedBy,
+    ledgerEntry: entry._id
+  })), { session });
+
+  return { entry, balances };
+}
+
+/**
+ * What each player paid into a game (game_join + card_purchase), net of any
+ * earlier refund. Returns [{ _id: userId, paid }] for one player or all of them.
+ */
+function paidIntoGame(gameId, session, userId) {
+  const match = { 'postings.account': { $in: WALLET_ACCOUNTS } };
+  if (userId) {
+    match['postings.user'] = new mongoose.Types.ObjectId(userId);
+  }
+
+  return LedgerEntry.aggregate([
+    { $match: { gameId, type: { $in: ['game_join', 'card_purchase', 'game_refund'] } } },
+    { $unwind: '$postings' },
+    { $match: match },
+    { $group: { _id: '$postings.user', paid: { $sum: { $multiply: ['$postings.amount', -1] } } } }
+  ]).session(session);
+}
+
+// Entry types whose game_escrow postings are the entry fees a game kept
+const GAME_REVENUE_TYPES = ['game_join', 'card_purchase', 'game_refund'];
+
+/**
+ * What games took in and paid out according to their escrow postings
+ * @param {Array} gameIds - Number Bingo game ids
+ * @returns {Map} - gameId -> { revenue, jackpotContribution, profit } for
+ *   every game that has ledger entries (revenue is net of refunds)
+ */
+async function gameFigures(gameIds) {
+  const totals = await LedgerEntry.aggregate([
+    { $match: { gameId: { $in: gameIds }, type: { $in: [...GAME_REVENUE_TYPES, 'game_profit', 'jackpot_contribution'] } } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.account': 'game_escrow' } },
+    { $group: { _id: { gameId: '$gameId', type: '$type' }, total: { $sum: '$postings.amount' } } }
+  ]);
+
+  const figures = new Map();
+  totals.forEach(({ _id: { gameId, type }, total }) => {
+    if (!figures.has(gameId)) {
+      figures.set(gameId, { revenue: 0, jackpotContribution: 0, profit: 0 });
+    }
+    const game = figures.get(gameId);
+    if (GAME_REVENUE_TYPES.includes(type)) {
+      game.revenue += total;
+    } else if (type === 'game_profit') {
+      game.profit -= total;
+    } else {
+      game.jackpotContribution -= total;
+    }
+  });
+  return figures;
+}
+
+/**
+ * Net amount the given entry types moved in (positive) or out of a user's
+ * wallet since a date
+ */
+async function walletFlow(userId, types, since) {
+  const user = new mongoose.Types.ObjectId(userId);
+  const [flow] = await LedgerEntry.aggregate([
+    { $match: { type: { $in: types }, createdAt: { $gte: since }, 'postings.user': user } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.user': user, 'postings.account': { $in: WALLET_ACCOUNTS } } },
+    { $group: { _id: null, total: { $sum: '$postings.amount' } } }
+  ]);
+  return flow ? flow.total : 0;
+}
+
+/**
+ * After a role change between player and staff, moves the user's ledger
+ * balance from the wallet account of their old role to the one of their new
+ * role. User.wallet itself doesn't change.
+ * @returns {Object|null} - The ledger entry, or null if nothing had to move
+ */
+async function reclassifyWallet(userId, session) {
+  const user = await User.findById(userId).select('role').session(session);
+  const currentAccount = walletAccount(user);
+  const previousAccount = WALLET_ACCOUNTS.find(account => account !== currentAccount);
+
+  const [previous] = await LedgerEntry.aggregate([
+    { $match: { 'postings.user': user._id } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.user': user._id, 'postings.account': previousAccount } },
+    { $group: { _id: null, balance: { $sum: '$postings.amount' } } }
+  ]).session(session);
+
+  const balance = previous ? previous.balance : 0;
+  if (Math.abs(balance) < 1e-6) {
+    return null;
+  }
+
+  const [entry] = await LedgerEntry.create([{
+    type: 'wallet_reclassification',
+    postings: [
+      { account: previousAccount, user: user._id, amount: -balance },
+      { account: currentAccount, user: user._id, amount: balance }
+    ],
+    description: `Wallet moved from ${previousAccount} to ${currentAccount} after a role change`
+  }], { session });
+  return entry;
+}
+
+/**
+ * Opens the ledger account of every wallet that had a balance before the
+ * ledger existed, so the ledger starts from what the wallets already hold
+ */
+async function openWalletAccounts() {
+  const opened = await LedgerEntry.distinct('postings.user', { 'postings.account': { $in: WALLET_ACCOUNTS } });
+  const users = await User.find({ _id: { $nin: opened }, wallet: { $gt: 0 } }).select('_id');
+
+  for (const { _id } of users) {
+    await mongoose.connection.transaction(async (session) => {
+      // Re-checked inside the transaction in case the wallet moved meanwhile
+      if (await LedgerEntry.exists({ 'postings.user': _id }).session(session)) {
+        return;
+      }
+      const user = await User.findById(_id).select('wallet role').session(session);
+      await LedgerEntry.create([{
+        type: 'opening_balance',
+        postings: [
+          { ...external(), amount: -user.wallet },
+          { account: walletAccount(user), user: user._id, amount: user.wallet }
+        ],
+        description: `Opening balance ${user.wallet} Birr`
+      }], { session });
+    });
+  }
+
+  return users.length;
+}
+
+/**
+ * Compares every user's wallet with the sum of their ledger postings
+ *
+ * @returns {Object} - { checkedAt, usersChecked, mismatches: [{ userId, username, wallet, ledgerBalance, difference }] }
+ */
+async function reconcile() {
+  const ledgerBalances = await LedgerEntry.aggregate([
+    { $unwind: '$postings' },
+    { $match: { 'postings.account': { $in: WALLET_ACCOUNTS } } },
+    { $group: { _id: '$postings.user', balance: { $sum: '$postings.amount' } } }
+  ]);
+  const balanceByUser = new Map(ledgerBalances.map(b => [b._id.toString(), b.balance]));
+
+  const users = await User.find().select('username wallet').lean();
+  const mismatches = [];
+  users.forEach(user => {
+    const wallet = user.wallet || 0;
+    const ledgerBalance = balanceByUser.get(user._id.toString()) || 0;
+    const difference = wallet - ledgerBalance;
+
+    if (Math.abs(difference) > TOLERANCE) {
+      mismatches.push({ userId: user._id, username: user.username, wallet, ledgerBalance, difference });
+    }
+  });
+
+  return { checkedAt: new Date(), usersChecked: users.length, mismatches };
+}
+
+module.exports = {
+  INSUFFICIENT_BALANCE,
+  wallet,
+  gameEscrow,
+  jackpotPool,
+  houseProfit,
+  pendingWithdrawal,
+  external,
+  transfer,
+  escrowBalance,
+  closeEscrow,
+  paidIntoGame,
+  gameFigures,
+  walletFlow,
+  reclassifyWallet,
+  openWalletAccounts,
+  reconcile
+};
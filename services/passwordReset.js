@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const PasswordReset = require('../models/PasswordReset');
+
+/**
+ * One-time password reset codes
+ *
+ * Players who forget their password ask an admin, who issues a short code and
+ * hands it over (in person, by phone, ...). The player then sets a new
+ * password with their username and the code. Only the newest code of a user
+ * works, it expires after CODE_TTL_MINUTES and is used up by a successful
+ * reset or MAX_CODE_ATTEMPTS wrong guesses.
+ */
+
+const CODE_LENGTH = 8;
+const CODE_TTL_MINUTES = 30;
+const MAX_CODE_ATTEMPTS = 5;
+
+const INVALID_CODE = 'Invalid or expired reset code';
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+function generateCode() {
+  return String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+}
+
+/**
+ * Issues a new code for a user, replacing any code they still have
+ * @returns {Object} - { code, expiresAt }
+ */
+async function issueResetCode(user, issuedBy) {
+  await PasswordReset.deleteMany({ user: user._id, usedAt: { $exists: false } });
+
+  const code = generateCode();
+  const reset = await PasswordReset.create({
+    user: user._id,
+    codeHash: hashCode(code),
+    issuedBy: issuedBy._id,
+    expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000)
+  });
+
+  return { code, expiresAt: reset.expiresAt };
+}
+
+/**
+ * Checks a code and, if it matches, uses it up
+ * @returns {Object} - { user }, or { error }
+ */
+async function redeemResetCode(username, code) {
+  if (typeof username !== 'string' || typeof code !== 'string') {
+    return { error: INVALID_CODE };
+  }
+
+  const user = await User.findOne({ username });
+  if (!user) {
+    return { error: INVALID_CODE };
+  }
+
+  const reset = await PasswordReset.findOne({
+    user: user._id,
+    usedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: MAX_CODE_ATTEMPTS }
+  });
+  if (!reset) {
+    return { error: INVALID_CODE };
+  }
+
+  const presented = Buffer.from(hashCode(code.trim()));
+  if (!crypto.timingSafeEqual(presented, Buffer.from(reset.codeHash))) {
+    await PasswordReset.updateOne({ _id: reset._id }, { $inc: { attempts: 1 } });
+    return { error: INVALID_CODE };
+  }
+
+  // Claim atomically, so a code can only be used once
+  const claimed = await PasswordReset.findOneAndUpdate(
+    { _id: reset._id, usedAt: { $exists: false } },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!claimed) {
+    return { error: INVALID_CODE };
+  }
+
+  return { user };
+}
+
+module.exports = {
+  CODE_TTL_MINUTES,
+  issueResetCode,
+  redeemResetCode
+};
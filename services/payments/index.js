@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Payment = require('../../models/Payment');
+const ledger = require('../ledger');
+const mockProvider = require('./mockProvider');
+
+/**
+ * Payment providers
+ *
+ * A provider adapter exposes:
+ *   name
+ *   configurationError() -> message when its settings are missing, else null
+ *   createCheckout(payment) -> { providerReference, checkoutUrl }
+ *   verifyWebhook(rawBody, headers) -> Boolean
+ *   parseWebhook(body) -> { eventId, providerReference, status: 'succeeded' | 'failed', amount, failureReason }
+ *
+ * PAYMENT_PROVIDERS lists the enabled providers (comma separated), the first
+ * one is the default. None is enabled unless listed there; the mock provider
+ * credits wallets without real money, so it must be listed explicitly
+ * (PAYMENT_PROVIDERS=mock) and also needs MOCK_PAYMENT_SECRET.
+ */
+
+const KNOWN_PROVIDERS = [mockProvider];
+
+function enabledProviderNames() {
+  return (process.env.PAYMENT_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Returns an enabled provider by name (the default one when no name is given), or null
+ */
+function getProvider(name) {
+  const enabled = enabledProviderNames();
+  const wanted = name || enabled[0];
+  if (!enabled.includes(wanted)) {
+    return null;
+  }
+
+  const provider = KNOWN_PROVIDERS.find(known => known.name === wanted);
+  if (!provider) {
+    return null;
+  }
+
+  const configError = provider.configurationError();
+  if (configError) {
+    console.error(`Payment provider ${provider.name} is not loaded: ${configError}`);
+    return null;
+  }
+  return provider;
+}
+
+/**
+ * Starts a deposit through a provider
+ * Returns { payment } or { error }
+ */
+async function startDeposit(user, amount, providerName) {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return { error: 'Payment provider not available' };
+  }
+
+  const payment = new Payment({ user: user._id, provider: provider.name, amount });
+  const checkout = await provider.createCheckout(payment);
+  payment.providerReference = checkout.providerReference;
+  payment.checkoutUrl = checkout.checkoutUrl;
+  await payment.save();
+
+  return { payment };
+}
+
+/**
+ * Verifies and processes a provider's webhook.
+ *
+ * Recording the event, the payment's new status and the provider_deposit
+ * ledger entry crediting the wallet happen in one MongoDB transaction. Each
+ * event is recorded on the payment, and only a pending payment is processed,
+ * so repeated webhooks never credit a deposit twice.
+ *
+ * @returns {Object} - { payment, changed, newBalance } or { error, status }
+ */
+async function handleWebhook(providerName, rawBody, headers) {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return { error: 'Unknown payment provider', status: 404 };
+  }
+
+  if (!provider.verifyWebhook(rawBody, headers)) {
+    return { error: 'Invalid webhook signature', status: 401 };
+  }
+
+  let event;
+  try {
+    event = provider.parseWebhook(JSON.parse(rawBody.toString('utf8')));
+  } catch (error) {
+    return { error: 'Invalid webhook body', status: 400 };
+  }
+
+  let result = null;
+  await mongoose.connection.transaction(async (session) => {
+    result = null;
+    const payment = await Payment.findOne({
+      provider: provider.name,
+      providerReference: event.providerReference
+    }).session(session);
+    if (!payment) {
+      result = { error: 'Payment not found', status: 404 };
+      return;
+    }
+
+    // A repeated event or an event for a payment that was already processed
+    if (payment.webhookEvents.includes(event.eventId) || payment.status !== 'pending') {
+      await Payment.updateOne({ _id: payment._id }, { $addToSet: { webhookEvents: event.eventId } }, { session });
+      result = { payment, changed: false, newBalance: null };
+      return;
+    }
+
+    payment.webhookEvents.push(event.eventId);
+    payment.completedAt = new Date();
+    let newBalance = null;
+
+    if (event.status === 'succeeded' && event.amount !== payment.amount) {
+      payment.status = 'failed';
+      payment.failureReason = `Provider reported ${event.amount} instead of ${payment.amount}`;
+    } else if (event.status === 'succeeded') {
+      const { entry, balances: [balance] } = await ledger.transfer({
+        type: 'provider_deposit',
+        from: ledger.external(),
+        to: ledger.wallet(payment.user),
+        amount: payment.amount,
+        description: `Deposit of ${payment.amount} Birr via ${provider.name} (ref ${payment.providerReference})`
+      }, session);
+      payment.status = 'succeeded';
+      payment.ledgerEntry = entry._id;
+      newBalance = balance.balanceAfter;
+    } else {
+      payment.status = 'failed';
+      payment.failureReason = event.failureReason || 'Payment failed';
+    }
+
+    // Concurrent webhooks for the payment conflict here and the loser's transaction retries
+    await payment.save({ session });
+    result = { payment, changed: true, newBalance };
+  });
+
+  return result;
+}
+
+module.exports = {
+  mockProvider,
+  getProvider,
+  startDeposit,
+  handleWebhook
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+/**
+ * Mock payment provider for local development and testing
+ *
+ * Checkouts are never paid for real: POST /api/payments/mock/:paymentId/simulate
+ * (staff only) makes the "gateway" send a signed webhook reporting success or
+ * failure (or the same event twice), which goes through the same verification
+ * and processing as a real provider's webhook.
+ *
+ * Only enabled through PAYMENT_PROVIDERS=mock, and only with a
+ * MOCK_PAYMENT_SECRET to sign its webhooks.
+ */
+
+const name = 'mock';
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+function secret() {
+  return process.env.MOCK_PAYMENT_SECRET;
+}
+
+/**
+ * Returns why the provider can't be used, or null when it can
+ */
+function configurationError() {
+  return secret() ? null : 'MOCK_PAYMENT_SECRET is not set';
+}
+
+function sign(rawBody) {
+  return crypto.createHmac('sha256', secret()).update(rawBody).digest('hex');
+}
+
+/**
+ * Starts a checkout for a payment
+ * @returns {Object} - { providerReference, checkoutUrl }
+ */
+async function createCheckout(payment) {
+  const providerReference = `mock_${crypto.randomBytes(12).toString('hex')}`;
+  return {
+    providerReference,
+    checkoutUrl: `/api/payments/mock/${payment._id}/simulate`
+  };
+}
+
+/**
+ * Checks a webhook's signature against its raw body
+ */
+function verifyWebhook(rawBody, headers) {
+  const signature = headers[SIGNATURE_HEADER];
+  if (!rawBody || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(rawBody), 'hex');
+  const received = Buffer.from(signature, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Reads a verified webhook body
+ * @returns {Object} - { eventId, providerReference, status: 'succeeded' | 'failed', amount, failureReason }
+ */
+function parseWebhook(body) {
+  return {
+    eventId: body.id,
+    providerReference: body.reference,
+    status: body.status === 'success' ? 'succeeded' : 'failed',
+    amount: body.amount,
+    failureReason: body.failure_reason
+  };
+}
+
+/**
+ * Builds the signed webhook(s) the gateway would send for a payment
+ *
+ * @param {Document} payment - The pending Payment
+ * @param {String} outcome - 'success', 'failure' or 'duplicate' (a success sent twice)
+ * @returns {Array} - [{ rawBody, headers }]
+ */
+function simulateWebhooks(payment, outcome) {
+  const event = {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    reference: payment.providerReference,
+    status: outcome === 'failure' ? 'failed' : 'success',
+    amount: payment.amount,
+    currency: payment.currency
+  };
+  if (outcome === 'failure') {
+    event.failure_reason = 'Payment declined by the mock gateway';
+  }
+
+  const rawBody = Buffer.from(JSON.stringify(event));
+  const webhook = { rawBody, headers: { [SIGNATURE_HEADER]: sign(rawBody) } };
+  return outcome === 'duplicate' ? [webhook, webhook] : [webhook];
+}
+
+module.exports = {
+  name,
+  configurationError,
+  createCheckout,
+  verifyWebhook,
+  parseWebhook,
+  simulateWebhooks
+};
@@ -0,0 +1,182 @@
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * Rate limiting and brute-force protection
+ *
+ * Two tools share one counter store:
+ *   limitRequests(group)  - middleware capping how many requests of a route
+ *                           group an IP (and a logged-in user) may make per window
+ *   createFailureGuard()  - counts failed guesses (passwords, PINs, codes) per
+ *                           IP and per account and locks a subject out once it
+ *                           has too many; every further lockout within a day
+ *                           lasts twice as long
+ *
+ * Both answer with 429 and a Retry-After header.
+ *
+ * The store defaults to memory. Another backend (Redis, ...) can be plugged
+ * in with setStore(); it must provide, all returning promises:
+ *   increment(key, ttlMs) -> { count, expiresAt } (starts at 1 with the TTL if missing)
+ *   get(key)              -> { count, expiresAt } or null
+ *   set(key, count, ttlMs)
+ *   delete(key)
+ */
+
+// Default limits per route group; RATE_LIMIT_<GROUP>=<max>/<seconds> overrides one
+// (e.g. RATE_LIMIT_GAME_JOIN=60/60)
+const REQUEST_LIMITS = {
+  auth: { max: 20, windowSeconds: 60 },
+  password: { max: 10, windowSeconds: 15 * 60 },
+  gameJoin: { max: 30, windowSeconds: 60 }
+};
+
+// Lockout levels are remembered this long
+const LOCKOUT_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+let store = createMemoryStore();
+
+/**
+ * Replaces the counter store (see the interface above)
+ */
+function setStore(newStore) {
+  store = newStore;
+}
+
+function envName(group) {
+  return `RATE_LIMIT_${group.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+function requestLimit(group) {
+  const limit = REQUEST_LIMITS[group];
+  if (!limit) {
+    throw new Error(`Unknown rate limit group: ${group}`);
+  }
+
+  const match = /^(\d+)\/(\d+)$/.exec(process.env[envName(group)] || '');
+  if (match && Number(match[1]) > 0 && Number(match[2]) > 0) {
+    return { max: Number(match[1]), windowSeconds: Number(match[2]) };
+  }
+  return limit;
+}
+
+function secondsUntil(time) {
+  return Math.max(1, Math.ceil((time - Date.now()) / 1000));
+}
+
+/**
+ * Answers 429 with Retry-After
+ */
+function sendTooManyRequests(res, retryAfter, message) {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error: message || 'Too many requests, please try again later',
+    retryAfter
+  });
+}
+
+/**
+ * Middleware limiting a route group per IP, and per user once authenticated
+ * (place it after auth to get the per-user counter)
+ */
+function limitRequests(group) {
+  const { max, windowSeconds } = requestLimit(group);
+  const windowMs = windowSeconds * 1000;
+
+  return async (req, res, next) => {
+    try {
+      const keys = [`req:${group}:ip:${req.ip}`];
+      if (req.user) {
+        keys.push(`req:${group}:user:${req.user._id}`);
+      }
+
+      let retryAfter = 0;
+      for (const key of keys) {
+        const counter = await store.increment(key, windowMs);
+        if (counter.count > max) {
+          retryAfter = Math.max(retryAfter, secondsUntil(counter.expiresAt));
+        }
+      }
+
+      if (retryAfter > 0) {
+        return sendTooManyRequests(res, retryAfter);
+      }
+      next();
+    } catch (error) {
+      // A broken store must not take the API down with it
+      console.error(`Error checking rate limit for ${group}:`, error);
+      next();
+    }
+  };
+}
+
+/**
+ * Creates a guard against guessing
+ * @param {String} name - Prefix for the guard's counters
+ * @param {Object} scopes - Per scope (e.g. ip, account): { maxFailures, windowMs, lockoutMs, maxLockoutMs }
+ *
+ * Methods take the subjects of an attempt, e.g. { ip: req.ip, account: username };
+ * scopes the guard doesn't know and empty values are ignored.
+ */
+function createFailureGuard(name, scopes) {
+  function subjectKeys(subjects) {
+    return Object.keys(scopes)
+      .filter(scope => subjects[scope] !== undefined && subjects[scope] !== null && subjects[scope] !== '')
+      .map(scope => ({ scope, id: `${name}:${scope}:${String(subjects[scope]).toLowerCase()}` }));
+  }
+
+  return {
+    /**
+     * Seconds until the subjects may try again, 0 if none is locked out
+     */
+    async retryAfter(subjects) {
+      let retryAfter = 0;
+      for (const { id } of subjectKeys(subjects)) {
+        const lock = await store.get(`lock:${id}`);
+        if (lock) {
+          retryAfter = Math.max(retryAfter, secondsUntil(lock.expiresAt));
+        }
+      }
+      return retryAfter;
+    },
+
+    /**
+     * Counts a failed attempt, locking out subjects that reached their maximum
+     * @returns {Number} - Seconds the attempt's subjects are now locked out, 0 if none is
+     */
+    async recordFailure(subjects) {
+      let retryAfter = 0;
+      for (const { scope, id } of subjectKeys(subjects)) {
+        const { maxFailures, windowMs, lockoutMs, maxLockoutMs } = scopes[scope];
+        const failures = await store.increment(`fail:${id}`, windowMs);
+        if (failures.count < maxFailures) {
+          continue;
+        }
+
+        const level = await store.increment(`level:${id}`, LOCKOUT_MEMORY_MS);
+        const duration = Math.min(lockoutMs * 2 ** (level.count - 1), maxLockoutMs);
+        await store.set(`lock:${id}`, level.count, duration);
+        await store.delete(`fail:${id}`);
+        retryAfter = Math.max(retryAfter, Math.ceil(duration / 1000));
+      }
+      return retryAfter;
+    },
+
+    /**
+     * Clears the failure count of the account after a successful attempt
+     * (IP counts stay, or guessing could be mixed with logins to a known account)
+     */
+    async recordSuccess(subjects) {
+      for (const { scope, id } of subjectKeys(subjects)) {
+        if (scope === 'account') {
+          await store.delete(`fail:${id}`);
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  setStore,
+  limitRequests,
+  createFailureGuard,
+  sendTooManyRequests
+};
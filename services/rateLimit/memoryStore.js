@@ -0,0 +1,64 @@
+/**
+ * In-memory counter store for the rate limiter (the default backend)
+ *
+ * Counts live in this process only: they reset on restart and aren't shared
+ * between servers. Use a shared backend (see services/rateLimit/index.js)
+ * when running more than one instance.
+ */
+
+// How often expired counters are dropped
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+function createMemoryStore() {
+  const entries = new Map();
+
+  function live(key, now) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  const pruner = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    });
+  }, PRUNE_INTERVAL_MS);
+  pruner.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, ttlMs) {
+      const now = Date.now();
+      const entry = live(key, now);
+      if (entry) {
+        entry.count += 1;
+        return { count: entry.count, expiresAt: entry.expiresAt };
+      }
+      const created = { count: 1, expiresAt: now + ttlMs };
+      entries.set(key, created);
+      return { ...created };
+    },
+
+    async get(key) {
+      const entry = live(key, Date.now());
+      return entry ? { count: entry.count, expiresAt: entry.expiresAt } : null;
+    },
+
+    async set(key, count, ttlMs) {
+      entries.set(key, { count, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
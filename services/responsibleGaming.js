@@ -0,0 +1,305 @@
+const User = require('../models/User');
+const WalletRequest = require('../models/WalletRequest');
+const Payment = require('../models/Payment');
+const ledger = require('./ledger');
+
+/**
+ * Responsible gaming
+ *
+ * Players limit their own deposits and losses per rolling day, week and month
+ * and the number of games they join per day, take a cool-off break or exclude
+ * themselves. A tighter limit applies at once; a looser one (raised or
+ * removed) only after LIMIT_INCREASE_WAIT_MS, whoever asks for it. A cool-off
+ * or self-exclusion can be extended but never shortened.
+ */
+
+const LIMIT_FIELDS = [
+  'depositDaily', 'depositWeekly', 'depositMonthly',
+  'lossDaily', 'lossWeekly', 'lossMonthly',
+  'gamesPerDay'
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = [
+  { name: 'Daily', label: 'daily', ms: DAY_MS },
+  { name: 'Weekly', label: 'weekly', ms: 7 * DAY_MS },
+  { name: 'Monthly', label: 'monthly', ms: 30 * DAY_MS }
+];
+const LIMIT_INCREASE_WAIT_MS = DAY_MS;
+const COOL_OFF_HOURS = { min: 24, max: 30 * 24 };
+const SELF_EXCLUSION_DAYS = { min: 30, max: 5 * 365 };
+const MAX_RECENT_JOINS = 100;
+
+// Wallet movements that make up a player's losses: stakes minus what came back
+const STAKE_TYPES = ['game_join', 'card_purchase', 'game_win', 'game_refund', 'jackpot_win'];
+// Money put into a player's wallet, by the player or by staff topping it up
+// (an admin_set lowering the wallet takes its amount back off)
+const DEPOSIT_TYPES = ['deposit', 'provider_deposit', 'admin_add', 'admin_set'];
+
+const hasLimit = (value) => value !== undefined && value !== null;
+
+function limitsToObject(limits) {
+  const result = {};
+  LIMIT_FIELDS.forEach(field => {
+    result[field] = limits && hasLimit(limits[field]) ? limits[field] : null;
+  });
+  return result;
+}
+
+/**
+ * Validates requested limit changes (a number, or null to remove the limit)
+ * Returns an error message, or null if the changes are valid
+ */
+function validateLimitChanges(changes) {
+  const fields = Object.keys(changes || {});
+  if (fields.length === 0) {
+    return 'No limits given';
+  }
+
+  for (const field of fields) {
+    const value = changes[field];
+    if (!LIMIT_FIELDS.includes(field)) {
+      return `Unknown limit ${field}`;
+    }
+    if (value === null) {
+      continue;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return `${field} must be a positive number or null`;
+    }
+    if (field === 'gamesPerDay' && (!Number.isInteger(value) || value < 1 || value > MAX_RECENT_JOINS)) {
+      return `gamesPerDay must be a whole number between 1 and ${MAX_RECENT_JOINS}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Puts pending limits into force once their waiting period is over
+ * Returns true if the user's limits changed (the caller saves the user)
+ */
+function activatePendingLimits(user, now = new Date()) {
+  const pending = user.responsibleGaming.pendingLimits;
+  if (!pending || !pending.effectiveAt || pending.effectiveAt > now) {
+    return false;
+  }
+
+  user.responsibleGaming.limits = limitsToObject(pending.limits);
+  user.responsibleGaming.pendingLimits = undefined;
+  return true;
+}
+
+/**
+ * Applies limit changes: tighter limits at once, looser ones after the
+ * waiting period (which restarts with every loosening request)
+ *
+ * @param {Document} user - The player (saved by the caller)
+ * @param {Object} changes - { field: number | null }
+ */
+function changeLimits(user, changes, now = new Date()) {
+  activatePendingLimits(user, now);
+
+  const rg = user.responsibleGaming;
+  const current = limitsToObject(rg.limits);
+  const pending = rg.pendingLimits && rg.pendingLimits.effectiveAt ? limitsToObject(rg.pendingLimits.limits) : null;
+  const future = pending || { ...current };
+  let loosened = false;
+
+  Object.keys(changes).forEach(field => {
+    const value = changes[field];
+    const tighter = value !== null && (current[field] === null || value <= current[field]);
+
+    if (tighter || value === current[field]) {
+      current[field] = value;
+      // A pending looser value for the same limit is dropped
+      future[field] = value;
+    } else {
+      future[field] = value;
+      loosened = true;
+    }
+  });
+
+  rg.limits = current;
+  if (loosened) {
+    rg.pendingLimits = { limits: future, effectiveAt: new Date(now.getTime() + LIMIT_INCREASE_WAIT_MS) };
+  } else if (pending) {
+    rg.pendingLimits = { limits: future, effectiveAt: rg.pendingLimits.effectiveAt };
+  }
+}
+
+/**
+ * Starts or extends a cool-off break (never shortens one)
+ */
+function startCoolOff(user, hours, now = new Date()) {
+  const until = new Date(now.getTime() + hours * 60 * 60 * 1000);
+  if (!user.responsibleGaming.coolOffUntil || user.responsibleGaming.coolOffUntil < until) {
+    user.responsibleGaming.coolOffUntil = until;
+  }
+}
+
+/**
+ * Starts or extends a self-exclusion (never shortens one)
+ */
+function selfExclude(user, days, now = new Date()) {
+  const until = new Date(now.getTime() + days * DAY_MS);
+  if (!user.responsibleGaming.selfExcludedUntil || user.responsibleGaming.selfExcludedUntil < until) {
+    user.responsibleGaming.selfExcludedUntil = until;
+  }
+}
+
+/**
+ * Why the player can't play or deposit at all right now, or null
+ */
+function blockReason(user, now) {
+  const rg = user.responsibleGaming;
+  if (rg.selfExcludedUntil && rg.selfExcludedUntil > now) {
+    return `You are self-excluded until ${rg.selfExcludedUntil.toISOString()}`;
+  }
+  if (rg.coolOffUntil && rg.coolOffUntil > now) {
+    return `You are on a cool-off break until ${rg.coolOffUntil.toISOString()}`;
+  }
+  return null;
+}
+
+/**
+ * Loads the player with any pending limits that came into force applied
+ */
+async function loadPlayer(userId, now) {
+  const user = await User.findById(userId);
+  if (user && activatePendingLimits(user, now)) {
+    await user.save();
+  }
+  return user;
+}
+
+/**
+ * What the player has used of each limit: losses and deposits per period and games joined today
+ */
+async function getUsage(user, now = new Date()) {
+  const usage = {};
+
+  for (const period of PERIODS) {
+    const since = new Date(now.getTime() - period.ms);
+    const net = await ledger.walletFlow(user._id, STAKE_TYPES, since);
+    usage[`loss${period.name}`] = Math.max(0, -net);
+    usage[`deposit${period.name}`] = await ledger.walletFlow(user._id, DEPOSIT_TYPES, since);
+  }
+
+  // Deposits waiting to be credited count against the limits too
+  const [pendingRequests, pendingPayments] = await Promise.all([
+    WalletRequest.find({ user: user._id, type: 'deposit', status: 'pending' }).select('amount').lean(),
+    Payment.find({ user: user._id, status: 'pending' }).select('amount').lean()
+  ]);
+  const pendingDeposits = [...pendingRequests, ...pendingPayments].reduce((sum, doc) => sum + doc.amount, 0);
+  PERIODS.forEach(period => {
+    usage[`deposit${period.name}`] += pendingDeposits;
+  });
+
+  const dayAgo = now.getTime() - DAY_MS;
+  usage.gamesPerDay = (user.responsibleGaming.recentJoins || []).filter(joinedAt => joinedAt.getTime() > dayAgo).length;
+
+  return usage;
+}
+
+/**
+ * Checks that a player may join a game with the given stake (0 for free games)
+ * Returns an error message, or null if they may join
+ */
+async function checkCanJoin(userId, stake, now = new Date()) {
+  const user = await loadPlayer(userId, now);
+  if (!user) {
+    return 'User not found';
+  }
+
+  const blocked = blockReason(user, now);
+  if (blocked) {
+    return blocked;
+  }
+
+  const { limits } = user.responsibleGaming;
+  const usage = await getUsage(user, now);
+
+  if (hasLimit(limits.gamesPerDay) && usage.gamesPerDay >= limits.gamesPerDay) {
+    return `You have reached your limit of ${limits.gamesPerDay} games per day`;
+  }
+
+  for (const period of PERIODS) {
+    const limit = limits[`loss${period.name}`];
+    if (stake > 0 && hasLimit(limit) && usage[`loss${period.name}`] + stake > limit) {
+      return `This would exceed your ${period.label} loss limit of ${limit} Birr`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks that a player may deposit an amount
+ * Returns an error message, or null if they may deposit
+ */
+async function checkCanDeposit(userId, amount, now = new Date()) {
+  const user = await loadPlayer(userId, now);
+  if (!user) {
+    return 'User not found';
+  }
+
+  const blocked = blockReason(user, now);
+  if (blocked) {
+    return blocked;
+  }
+
+  const { limits } = user.responsibleGaming;
+  const usage = await getUsage(user, now);
+
+  for (const period of PERIODS) {
+    const limit = limits[`deposit${period.name}`];
+    if (hasLimit(limit) && usage[`deposit${period.name}`] + amount > limit) {
+      return `This would exceed your ${period.label} deposit limit of ${limit} Birr`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Records that a player joined a game (for gamesPerDay)
+ */
+async function recordGameJoin(userId) {
+  await User.updateOne(
+    { _id: userId },
+    { $push: { 'responsibleGaming.recentJoins': { $each: [new Date()], $slice: -MAX_RECENT_JOINS } } }
+  );
+}
+
+/**
+ * A player's responsible gaming settings and usage, as shown to them and to admins
+ */
+async function getOverview(user, now = new Date()) {
+  const rg = user.responsibleGaming;
+  const pending = rg.pendingLimits && rg.pendingLimits.effectiveAt ? rg.pendingLimits : null;
+
+  return {
+    limits: limitsToObject(rg.limits),
+    pendingLimits: pending ? {
+      limits: limitsToObject(pending.limits),
+      effectiveAt: pending.effectiveAt
+    } : null,
+    usage: await getUsage(user, now),
+    coolOffUntil: rg.coolOffUntil && rg.coolOffUntil > now ? rg.coolOffUntil : null,
+    selfExcludedUntil: rg.selfExcludedUntil && rg.selfExcludedUntil > now ? rg.selfExcludedUntil : null
+  };
+}
+
+module.exports = {
+  LIMIT_FIELDS,
+  COOL_OFF_HOURS,
+  SELF_EXCLUSION_DAYS,
+  validateLimitChanges,
+  activatePendingLimits,
+  changeLimits,
+  startCoolOff,
+  selfExclude,
+  checkCanJoin,
+  checkCanDeposit,
+  recordGameJoin,
+  getOverview
+};
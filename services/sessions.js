@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+/**
+ * Login sessions
+ *
+ * Logging in starts a Session and returns a short-lived access token (a JWT
+ * naming the user, the session and the user's tokenVersion) plus a refresh
+ * token ("<sessionId>.<secret>", only its hash is stored). Every refresh
+ * replaces the refresh token; presenting a replaced one again revokes the
+ * session, as the token must have been copied.
+ *
+ * Access tokens are rejected once their session is revoked or the user's
+ * tokenVersion moves on (password change, lost admin rights, log out of all
+ * devices), so no token outlives a logout.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function signAccessToken(user, session) {
+  return jwt.sign(
+    { userId: user._id, sid: session._id, tv: session.tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function tokenPair(user, session, secret) {
+  return {
+    accessToken: signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+/**
+ * Starts a session for a user who just logged in or registered
+ * @returns {Object} - { accessToken, refreshToken, expiresIn }
+ */
+async function startSession(user, req) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    tokenVersion: user.tokenVersion || 0,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return tokenPair(user, session, secret);
+}
+
+/**
+ * Trades a refresh token for a new access token and refresh token
+ * @returns {Object} - { accessToken, refreshToken, expiresIn }, or { error }
+ */
+async function refreshSession(refreshToken) {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const presentedHash = hashToken(secret);
+  const newSecret = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  // Rotate atomically, so a refresh token can only be used once
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: presentedHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    { $set: { tokenHash: hashToken(newSecret), previousTokenHash: presentedHash, lastUsedAt: now } },
+    { new: true }
+  );
+
+  if (!session) {
+    // A replaced token coming back means someone else holds a copy
+    await Session.updateOne(
+      { _id: sessionId, previousTokenHash: presentedHash, revokedAt: { $exists: false } },
+      { $set: { revokedAt: now, revokedReason: 'refresh_token_reused' } }
+    );
+    return { error: 'Invalid refresh token' };
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || (user.tokenVersion || 0) !== session.tokenVersion) {
+    await revokeSession(session._id, 'credentials_changed');
+    return { error: 'Session has ended, please log in again' };
+  }
+
+  return tokenPair(user, session, newSecret);
+}
+
+/**
+ * Ends one session
+ */
+async function revokeSession(sessionId, reason) {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+/**
+ * Ends every session of a user, access tokens included
+ */
+async function revokeAllSessions(userId, reason) {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await closeAllSessions(userId, reason);
+}
+
+/**
+ * Marks every session of a user revoked, for when saving the user already
+ * bumped tokenVersion (password change or reset)
+ */
+async function closeAllSessions(userId, reason) {
+  await Session.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+/**
+ * Checks that an access token's session is still live for the user
+ */
+async function isSessionActive(decoded, user) {
+  if (!decoded.sid || decoded.tv !== (user.tokenVersion || 0)) {
+    return false;
+  }
+  return Boolean(await Session.exists({ _id: decoded.sid, user: user._id, revokedAt: { $exists: false } }));
+}
+
+module.exports = {
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  closeAllSessions,
+  isSessionActive
+};
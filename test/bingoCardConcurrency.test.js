@@ -0,0 +1,194 @@
+/**
+ * Concurrency tests for Number Bingo seats and cards
+ *
+ * Fires many join / select-card requests at one game at the same moment and
+ * checks that the atomic updates in BingoGameSession.reserveSeat() and
+ * claimCard() never overfill a game or give one card to two players, that
+ * every request that lost the race gets a 409, and that a seat is only kept
+ * when its entry fee was paid.
+ *
+ * Runs against MONGODB_TEST_URI when set (must be a replica set, joining
+ * uses transactions), otherwise against an in-memory replica set from
+ * mongodb-memory-server (which downloads mongod, or uses the binary at
+ * MONGOMS_SYSTEM_BINARY). The tests fail when neither can be started.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'concurrency-test-secret';
+// Every request comes from the same IP, keep the join rate limit out of the way
+process.env.RATE_LIMIT_GAME_JOIN = '10000/60';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const BingoGameSession = require('../models/BingoGameSession');
+const sessions = require('../services/sessions');
+const { router: bingoRouter } = require('../routes/bingo');
+
+const GAME_PIN = '4321';
+
+let replSet = null;
+let server = null;
+let baseUrl = null;
+let userCount = 0;
+let gameCount = 0;
+
+async function startDatabase() {
+  if (process.env.MONGODB_TEST_URI) {
+    return process.env.MONGODB_TEST_URI;
+  }
+
+  const { MongoMemoryReplSet } = require('mongodb-memory-server');
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  return replSet.getUri();
+}
+
+/**
+ * Creates players with enough in their wallet to join, and their access tokens
+ */
+async function createPlayers(count, wallet = 100) {
+  const players = [];
+  for (let i = 0; i < count; i++) {
+    userCount += 1;
+    const user = await User.create({ username: `player${userCount}`, password: 'secret123x', wallet });
+    const { accessToken } = await sessions.startSession(user, { get: () => 'concurrency-test', ip: '127.0.0.1' });
+    players.push({ user, token: accessToken });
+  }
+  return players;
+}
+
+/**
+ * Creates a game that is ready to be joined
+ */
+async function createReadyGame(settings) {
+  gameCount += 1;
+  const game = new BingoGameSession({
+    gameId: `BG${gameCount}`,
+    gamePin: GAME_PIN,
+    status: 'ready',
+    playerEntryFee: 10,
+    createdBy: new mongoose.Types.ObjectId(),
+    ...settings
+  });
+  game.initializeAvailableCards();
+  await game.save();
+  return game;
+}
+
+function post(path, token, body) {
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+}
+
+function countStatuses(responses) {
+  return responses.reduce((counts, response) => {
+    counts[response.status] = (counts[response.status] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+describe('Number Bingo seats and cards under concurrent requests', () => {
+  before(async () => {
+    await mongoose.connect(await startDatabase());
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/bingo', bingoRouter);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/bingo`;
+  });
+
+  after(async () => {
+    if (server) {
+      server.close();
+      // Let work the handlers do after responding (socket emits, background checks) finish first
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    await mongoose.disconnect();
+    if (replSet) {
+      await replSet.stop();
+    }
+  });
+
+  it('never seats more players than maxPlayers', async () => {
+    const game = await createReadyGame({ maxPlayers: 5 });
+    const players = await createPlayers(12);
+
+    const responses = await Promise.all(players.map(({ token }) =>
+      post(`/games/${game.gameId}/join`, token, { pin: GAME_PIN })
+    ));
+
+    assert.deepEqual(countStatuses(responses), { 200: 5, 409: 7 });
+
+    const stored = await BingoGameSession.findOne({ gameId: game.gameId });
+    assert.equal(stored.players.length, 5);
+    assert.equal(new Set(stored.players.map(String)).size, 5);
+  });
+
+  it('gives a card to exactly one of the players asking for it', async () => {
+    const game = await createReadyGame({ maxPlayers: 10 });
+    const players = await createPlayers(10);
+    for (const { token } of players) {
+      const joined = await post(`/games/${game.gameId}/join`, token, { pin: GAME_PIN });
+      assert.equal(joined.status, 200);
+    }
+
+    const responses = await Promise.all(players.map(({ token }) =>
+      post(`/games/${game.gameId}/select-card`, token, { cardNumber: 7 })
+    ));
+
+    assert.deepEqual(countStatuses(responses), { 200: 1, 409: 9 });
+
+    const stored = await BingoGameSession.findOne({ gameId: game.gameId });
+    const owners = stored.bingoCards.filter(card => card.cardNumber === 7);
+    assert.equal(owners.length, 1);
+    assert.equal(stored.cardAssignments.get('7').toString(), owners[0].player.toString());
+    assert.ok(!stored.availableCards.includes(7));
+  });
+
+  it('never assigns a card twice when players race for overlapping cards', async () => {
+    const game = await createReadyGame({ maxPlayers: 20 });
+    const players = await createPlayers(20);
+    for (const { token } of players) {
+      await post(`/games/${game.gameId}/join`, token, { pin: GAME_PIN });
+    }
+
+    // 20 players fight over 5 cards
+    const responses = await Promise.all(players.map(({ token }, index) =>
+      post(`/games/${game.gameId}/select-card`, token, { cardNumber: (index % 5) + 1 })
+    ));
+
+    assert.deepEqual(countStatuses(responses), { 200: 5, 409: 15 });
+
+    const stored = await BingoGameSession.findOne({ gameId: game.gameId });
+    const cardNumbers = stored.bingoCards.map(card => card.cardNumber).sort((a, b) => a - b);
+    assert.deepEqual(cardNumbers, [1, 2, 3, 4, 5]);
+    assert.equal(new Set(stored.bingoCards.map(card => card.player.toString())).size, 5);
+    cardNumbers.forEach(cardNumber => {
+      const owner = stored.bingoCards.find(card => card.cardNumber === cardNumber).player;
+      assert.equal(stored.cardAssignments.get(String(cardNumber)).toString(), owner.toString());
+      assert.ok(!stored.availableCards.includes(cardNumber));
+    });
+  });
+
+  it('keeps a seat only for players whose entry fee was paid', async () => {
+    const games = [await createReadyGame({ maxPlayers: 5 }), await createReadyGame({ maxPlayers: 5 })];
+    // Enough for one entry fee, not two
+    const [{ user, token }] = await createPlayers(1, 10);
+
+    const responses = await Promise.all(games.map(game =>
+      post(`/games/${game.gameId}/join`, token, { pin: GAME_PIN })
+    ));
+
+    assert.deepEqual(countStatuses(responses), { 200: 1, 403: 1 });
+
+    const stored = await BingoGameSession.find({ gameId: { $in: games.map(game => game.gameId) } });
+    const seats = stored.filter(game => game.players.some(player => player.equals(user._id)));
+    assert.equal(seats.length, 1);
+    assert.equal((await User.findById(user._id)).wallet, 0);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Persistent call scheduler (function-based)
+ * Runs a game's calling loop on timers and records the next call time on the
+ * game document, so calling can be picked up again after a server restart.
+ *
+ * @param {Object} options
+ * @param {String} options.name - Label used in log messages
+ * @param {Object} options.Model - Mongoose model holding the games
+ * @param {String} options.activeStatus - Status of games that are being called
+ * @param {String} options.dueField - Date field storing the next call time
+ * @param {String} options.intervalField - Field holding the delay between calls (ms)
+ * @param {Function} options.tick - async (gameId) => delay until next call, or null to stop
+ */
+function createCallScheduler({ name, Model, activeStatus, dueField, intervalField, tick }) {
+  const timers = new Map();
+
+  // Arm an in-memory timer that runs the next call after `delay` ms
+  function arm(gameId, delay) {
+    cancel(gameId);
+
+    const timer = setTimeout(async () => {
+      timers.delete(gameId);
+
+      let nextDelay = null;
+      try {
+        nextDelay = await tick(gameId);
+      } catch (error) {
+        console.error(`Error in ${name}:`, error);
+        // Keep the game going, the next call retries after the usual interval
+        const game = await Model.findOne({ gameId }).select(`status ${intervalField}`).catch(() => null);
+        nextDelay = game && game.status === activeStatus ? game[intervalField] : null;
+      }
+
+      if (nextDelay) {
+        await schedule(gameId, nextDelay).catch(error => {
+          console.error(`Error rescheduling ${name} for game ${gameId}:`, error);
+        });
+      }
+    }, delay);
+
+    timers.set(gameId, timer);
+  }
+
+  /**
+   * Schedules the next call for a game and persists when it is due
+   */
+  async function schedule(gameId, delay) {
+    await Model.updateOne({ gameId }, { [dueField]: new Date(Date.now() + delay) });
+    arm(gameId, delay);
+  }
+
+  /**
+   * Cancels the pending call for a game (the game's status decides whether it resumes)
+   */
+  function cancel(gameId) {
+    if (timers.has(gameId)) {
+      clearTimeout(timers.get(gameId));
+      timers.delete(gameId);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Re-arms every game that was being called when the server went down.
+   * Overdue calls run immediately, the rest keep their original due time.
+   */
+  async function resumeAll() {
+    const games = await Model.find({ status: activeStatus })
+      .select(`gameId ${dueField} ${intervalField}`);
+
+    const now = Date.now();
+    games.forEach(game => {
+      const dueAt = game[dueField] ? game[dueField].getTime() : now + game[intervalField];
+      arm(game.gameId, Math.max(0, dueAt - now));
+    });
+
+    if (games.length > 0) {
+      console.log(`Resumed ${name} for ${games.length} game(s)`);
+    }
+    return games.length;
+  }
+
+  return { schedule, cancel, resumeAll };
+}
+
+module.exports = { createCallScheduler };
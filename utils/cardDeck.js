@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { generateKeyedBingoCard } = require('./gridGenerator');
+
+/**
+ * Card decks for Number Bingo
+ *
+ * Every game gets its own random deck seed. Card n of the deck is derived
+ * from HMAC-SHA256(deckSeed, n), so any card can be re-derived later from the
+ * seed alone. While the deck is built every card is checked against the ones
+ * before it; a card that repeats an earlier one is re-rolled and the attempt
+ * that made it unique is recorded in the deck's rerolls.
+ *
+ * Two cards count as the same when each column holds the same numbers, even
+ * in a different order: such cards win on exactly the same calls for a full
+ * house or any column.
+ */
+
+const MAX_DECK_SIZE = 10000;
+const DEFAULT_DECK_SIZE = 100;
+const MAX_REROLLS = 100;
+
+/**
+ * Generates a new secret deck seed
+ */
+function generateDeckSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Key used to compare cards: each column's numbers in ascending order
+ */
+function cardKey(grid) {
+  return grid.map(column => [...column].sort((a, b) => a - b).join(',')).join('|');
+}
+
+/**
+ * Builds a deck and checks that every card in it is unique
+ *
+ * @param {String} deckSeed - The game's deck seed
+ * @param {Number} size - Number of cards in the deck (1-10000)
+ * @returns {Object} - { rerolls } map of card number => attempt, for the cards that were re-rolled
+ */
+function buildDeck(deckSeed, size) {
+  if (!Number.isInteger(size) || size < 1 || size > MAX_DECK_SIZE) {
+    throw new Error(`Deck size must be between 1 and ${MAX_DECK_SIZE}`);
+  }
+
+  const seen = new Set();
+  const rerolls = {};
+
+  for (let cardNumber = 1; cardNumber <= size; cardNumber++) {
+    let attempt = 0;
+    let key = cardKey(generateKeyedBingoCard(deckSeed, cardNumber, attempt));
+
+    while (seen.has(key)) {
+      attempt++;
+      if (attempt > MAX_REROLLS) {
+        throw new Error(`Could not generate a unique grid for card ${cardNumber}`);
+      }
+      key = cardKey(generateKeyedBingoCard(deckSeed, cardNumber, attempt));
+    }
+
+    seen.add(key);
+    if (attempt > 0) {
+      rerolls[cardNumber] = attempt;
+    }
+  }
+
+  return { rerolls };
+}
+
+/**
+ * Re-derives a single card of a deck
+ *
+ * @param {String} deckSeed - The game's deck seed
+ * @param {Number} cardNumber - The card number
+ * @param {Map|Object} rerolls - The deck's rerolls (card number => attempt)
+ * @returns {Array} - 5x5 grid for BINGO card
+ */
+function deriveCard(deckSeed, cardNumber, rerolls) {
+  const key = String(cardNumber);
+  const attempt = rerolls instanceof Map ? rerolls.get(key) : rerolls && rerolls[key];
+  return generateKeyedBingoCard(deckSeed, cardNumber, attempt || 0);
+}
+
+module.exports = {
+  MAX_DECK_SIZE,
+  DEFAULT_DECK_SIZE,
+  generateDeckSeed,
+  cardKey,
+  buildDeck,
+  deriveCard
+};
@@ -22,15 +22,45 @@ function createSeededRandom(seed) {
 }
 
 /**
- * Generates a deterministic BINGO card based on card number
- * Same cardNumber will always produce the same grid
- *
- * @param {Number} cardNumber - The card number (1-999)
- * @returns {Array} - 5x5 grid for BINGO card
+ * Keyed random number generator for card decks (HMAC-SHA256 in counter mode)
+ * The same deck seed, card number and attempt always give the same sequence,
+ * while different card numbers give independent ones.
  */
-function generateDeterministicBingoCard(cardNumber) {
-  const rng = createSeededRandom(cardNumber);
+function createKeyedRandom(deckSeed, cardNumber, attempt = 0) {
+  let counter = 0;
+  let block = Buffer.alloc(0);
+  let offset = 0;
+
+  function nextUint32() {
+    if (offset + 4 > block.length) {
+      block = crypto.createHmac('sha256', deckSeed)
+        .update(`${cardNumber}:${attempt}:${counter++}`)
+        .digest();
+      offset = 0;
+    }
+    const value = block.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  }
+
+  // Get random integer between min (inclusive) and max (exclusive), without modulo bias
+  function nextInt(min, max) {
+    const range = max - min;
+    const limit = Math.floor(0x100000000 / range) * range;
+    let value;
+    do {
+      value = nextUint32();
+    } while (value >= limit);
+    return min + (value % range);
+  }
 
+  return { nextInt };
+}
+
+/**
+ * Fills a 5x5 BINGO grid by shuffling each column's range with the given RNG
+ */
+function buildBingoGrid(rng) {
   const columnRanges = [
     [1, 15],    // B
     [16, 30],   // I
@@ -73,4 +103,29 @@ function generateDeterministicBingoCard(cardNumber) {
   return grid;
 }
 
-module.exports = { generateDeterministicBingoCard };
\ No newline at end of file
+/**
+ * Generates a deterministic BINGO card based on card number
+ * Same cardNumber will always produce the same grid
+ * (legacy generator, kept for games created without a deck seed)
+ *
+ * @param {Number} cardNumber - The card number (1-999)
+ * @returns {Array} - 5x5 grid for BINGO card
+ */
+function generateDeterministicBingoCard(cardNumber) {
+  return buildBingoGrid(createSeededRandom(cardNumber));
+}
+
+/**
+ * Generates a BINGO card from a deck seed
+ * Same deckSeed, cardNumber and attempt will always produce the same grid
+ *
+ * @param {String} deckSeed - The game's secret deck seed
+ * @param {Number} cardNumber - The card number (1-10000)
+ * @param {Number} attempt - Re-roll count, used when an earlier grid was a duplicate
+ * @returns {Array} - 5x5 grid for BINGO card
+ */
+function generateKeyedBingoCard(deckSeed, cardNumber, attempt = 0) {
+  return buildBingoGrid(createKeyedRandom(deckSeed, cardNumber, attempt));
+}
+
+module.exports = { generateDeterministicBingoCard, generateKeyedBingoCard };
@@ -0,0 +1,34 @@
+/**
+ * Password strength rules for new passwords (registration, change and reset)
+ */
+
+const MIN_LENGTH = 8;
+const MAX_LENGTH = 128;
+
+// Passwords that pass the other rules but are far too common
+const COMMON_PASSWORDS = ['password1', 'password123', 'qwerty123', 'abc12345', 'letmein1', 'welcome1', 'admin123', 'player123'];
+
+/**
+ * Checks a new password against the rules
+ * Returns an error message, or null if the password is strong enough
+ */
+function validatePassword(password, username) {
+  if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+    return `Password must be at least ${MIN_LENGTH} characters long`;
+  }
+  if (password.length > MAX_LENGTH) {
+    return `Password must be at most ${MAX_LENGTH} characters long`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain at least one letter and one number';
+  }
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    return 'Password must not contain your username';
+  }
+  if (COMMON_PASSWORDS.includes(password.toLowerCase())) {
+    return 'Password is too common';
+  }
+  return null;
+}
+
+module.exports = { validatePassword };
@@ -0,0 +1,70 @@
+/**
+ * Roles and permissions
+ *
+ * Every user has one role; what a role may do is its list of permissions.
+ * Routes check permissions (requirePermission in middleware/auth.js), never
+ * role names, so a role can be given more or less without touching them.
+ */
+
+const PERMISSIONS = {
+  'game:create': 'Create games, game templates, schedules and winning patterns',
+  'game:host': 'Run games: prepare, start, pause, resume, call numbers, stop and cancel',
+  'game:manage-any': 'See and run the games, templates, schedules and patterns of other staff',
+  'jackpot:manage': 'Configure your own jackpot',
+  'jackpot:global': 'See every jackpot and configure the global one',
+  'player:view': 'List players and see their wallet history',
+  'player:manage': 'Change players\' responsible gaming limits and issue password reset codes',
+  'wallet:adjust': 'Add to, subtract from or set player wallets',
+  'wallet:review': 'Approve or reject deposit and withdrawal requests',
+  'analytics:view': 'See revenue and game analytics of every admin',
+  'admin:manage': 'Manage admin credits, game costs, refund rules and admin password resets',
+  'ledger:reconcile': 'Check wallets against the ledger',
+  'role:assign': 'Change the role of any user'
+};
+
+const CASHIER_PERMISSIONS = ['player:view', 'player:manage', 'wallet:adjust', 'wallet:review'];
+const GAME_HOST_PERMISSIONS = ['game:create', 'game:host', 'jackpot:manage'];
+
+const ROLE_PERMISSIONS = {
+  player: [],
+  cashier: CASHIER_PERMISSIONS,
+  game_host: GAME_HOST_PERMISSIONS,
+  admin: [...GAME_HOST_PERMISSIONS, ...CASHIER_PERMISSIONS],
+  super_admin: Object.keys(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Every role but player is staff (can't play, has an admin wallet)
+const STAFF_ROLES = ROLES.filter(role => role !== 'player');
+
+/**
+ * Permissions of a user's role
+ */
+function permissionsOf(user) {
+  return ROLE_PERMISSIONS[user.role] || [];
+}
+
+/**
+ * Checks whether a user's role grants a permission
+ */
+function hasPermission(user, permission) {
+  return permissionsOf(user).includes(permission);
+}
+
+/**
+ * Roles that grant a permission
+ */
+function rolesWithPermission(permission) {
+  return ROLES.filter(role => ROLE_PERMISSIONS[role].includes(permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+  permissionsOf,
+  hasPermission,
+  rolesWithPermission
+};
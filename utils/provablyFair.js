@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+/**
+ * Provably fair draws (commit-reveal)
+ *
+ * When a game starts the server picks a secret seed and publishes only its
+ * SHA-256 hash (the commitment). Draw n is taken from the pool of values not
+ * drawn yet (kept in ascending order) at index
+ *   HMAC-SHA256(seed, n) as a 48-bit integer  mod  remaining count
+ * Once the game is over the seed is revealed, so anyone can check it against
+ * the commitment and replay every draw.
+ */
+
+const ALGORITHM = 'hmac-sha256-v1';
+
+/**
+ * Generates a new secret server seed
+ */
+function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hashes a seed into the commitment published at game start
+ */
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+/**
+ * Index of draw number `drawIndex` (0-based) into the remaining pool
+ */
+function drawIndex(seed, drawIndex, remainingCount) {
+  const digest = crypto.createHmac('sha256', seed).update(String(drawIndex)).digest();
+  return digest.readUIntBE(0, 6) % remainingCount;
+}
+
+/**
+ * Replays the first `count` draws from a pool with the given seed
+ *
+ * @param {String} seed - The revealed server seed
+ * @param {Array} pool - Every value that could be drawn, in ascending order
+ * @param {Number} count - How many draws to replay
+ * @returns {Array} - The drawn values in order
+ */
+function replayDraws(seed, pool, count) {
+  const remaining = [...pool];
+  const draws = [];
+
+  for (let i = 0; i < count && remaining.length > 0; i++) {
+    const index = drawIndex(seed, i, remaining.length);
+    draws.push(remaining[index]);
+    remaining.splice(index, 1);
+  }
+
+  return draws;
+}
+
+/**
+ * Checks a revealed seed against the commitment and replays the draw sequence
+ * Returns the report sent by the /verify endpoints
+ */
+function verifyDraws({ commitment, seed, pool, drawn }) {
+  const replayed = replayDraws(seed, pool, drawn.length);
+
+  return {
+    algorithm: ALGORITHM,
+    commitment,
+    revealedSeed: seed,
+    commitmentValid: hashSeed(seed) === commitment,
+    drawn,
+    replayed,
+    drawsMatch: replayed.length === drawn.length && replayed.every((value, i) => value === drawn[i])
+  };
+}
+
+module.exports = {
+  ALGORITHM,
+  generateServerSeed,
+  hashSeed,
+  drawIndex,
+  replayDraws,
+  verifyDraws
+};
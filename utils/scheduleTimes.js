@@ -0,0 +1,99 @@
+/**
+ * Start times of recurring game schedules
+ *
+ * A schedule starts a game every `intervalMinutes` from windowStart to
+ * windowEnd (both "HH:MM", local time in the schedule's IANA timezone), on the
+ * listed days of the week (0 = Sunday, empty = every day).
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts "HH:MM" to minutes after midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Checks that a timezone name is known to the runtime
+ */
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Calendar date, weekday and UTC offset of an instant in a timezone
+ */
+function zonedDate(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+  const wallClock = Date.UTC(year, month - 1, day, Number(parts.hour), Number(parts.minute));
+  const offset = wallClock - Math.floor(date.getTime() / 60000) * 60000;
+
+  return { year, month, day, weekday: WEEKDAYS.indexOf(parts.weekday), offset };
+}
+
+/**
+ * The instant a local date and time of day (minutes after midnight) happens in a timezone
+ */
+function zonedTimeToDate(year, month, day, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const { offset } = zonedDate(new Date(guess), timeZone);
+  return new Date(guess - offset);
+}
+
+/**
+ * Returns the schedule's first start time after `after`, or null if it has none in the next week
+ */
+function nextStartTime(schedule, after) {
+  const windowStart = toMinutes(schedule.windowStart);
+  const windowEnd = toMinutes(schedule.windowEnd);
+  const days = schedule.daysOfWeek || [];
+
+  for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+    const { year, month, day, weekday } = zonedDate(new Date(after.getTime() + dayOffset * DAY_MS), schedule.timezone);
+    if (days.length > 0 && !days.includes(weekday)) {
+      continue;
+    }
+
+    for (let minutes = windowStart; minutes <= windowEnd; minutes += schedule.intervalMinutes) {
+      const startAt = zonedTimeToDate(year, month, day, minutes, schedule.timezone);
+      if (startAt > after) {
+        return startAt;
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  TIME_PATTERN,
+  toMinutes,
+  isValidTimezone,
+  nextStartTime
+};
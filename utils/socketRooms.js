@@ -0,0 +1,67 @@
+const BingoGameSession = require('../models/BingoGameSession');
+const LetterBingoGameSession = require('../models/LetterBingoGameSession');
+const { hasPermission } = require('./permissions');
+
+/**
+ * Socket.io rooms
+ * - user-<id>: every socket of a logged in user (wallet and private card events)
+ * - admin-<id>: every socket of an admin (dashboard events for the games they run)
+ * - game-<gameId>: the players of a game and the admin running it
+ */
+
+const userRoom = (userId) => `user-${userId}`;
+const adminRoom = (adminId) => `admin-${adminId}`;
+const gameRoom = (gameId) => `game-${gameId}`;
+
+/**
+ * Finds a Number Bingo or Letter Bingo game by id
+ * Number Bingo ids look like BG12, Letter Bingo ids like LB12.
+ */
+function findGame(gameId) {
+  const Model = /^LB\d+$/.test(String(gameId)) ? LetterBingoGameSession : BingoGameSession;
+  return Model.findOne({ gameId: String(gameId) });
+}
+
+/**
+ * Checks whether a user belongs in a game's room: its players, the admin who
+ * created it and staff who may manage everyone's games
+ */
+function isGameMember(user, game) {
+  if (hasPermission(user, 'game:manage-any') || game.createdBy.equals(user._id)) {
+    return true;
+  }
+
+  return game.players.some(player => player.equals(user._id));
+}
+
+/**
+ * Checks whether a user may join the room of the game with this id
+ */
+async function canJoinGameRoom(user, gameId) {
+  const game = await findGame(gameId).select('players createdBy');
+  return game ? isGameMember(user, game) : false;
+}
+
+/**
+ * Sends a user their new wallet balance (only to their own sockets)
+ */
+function emitWalletUpdated(io, userId, newBalance) {
+  if (!io) {
+    return;
+  }
+
+  io.to(userRoom(userId)).emit('walletUpdated', {
+    userId: userId.toString(),
+    newBalance
+  });
+}
+
+module.exports = {
+  userRoom,
+  adminRoom,
+  gameRoom,
+  findGame,
+  isGameMember,
+  canJoinGameRoom,
+  emitWalletUpdated
+};
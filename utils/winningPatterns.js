@@ -0,0 +1,172 @@
+/**
+ * Winning patterns as 5x5 masks
+ *
+ * Masks are written the way a card is drawn: mask[row][col], row 0 at the top,
+ * col 0 = B ... col 4 = O. Card grids and marks are stored column-first
+ * (marked[col][row]), matchesMask() takes care of the difference.
+ * A pattern is a list of masks; a card wins when any one of them is fully marked.
+ */
+
+const SIZE = 5;
+
+/**
+ * Builds a mask from a list of [row, col] cells
+ */
+function maskFromCells(cells) {
+  const mask = Array(SIZE).fill(null).map(() => Array(SIZE).fill(false));
+  cells.forEach(([row, col]) => {
+    mask[row][col] = true;
+  });
+  return mask;
+}
+
+/**
+ * Builds a mask from 5 strings where 'X' marks a required cell
+ */
+function maskFromRows(rows) {
+  return rows.map(line => line.split('').map(ch => ch === 'X'));
+}
+
+const range = Array.from({ length: SIZE }, (_, i) => i);
+
+const HORIZONTAL_MASKS = range.map(row => maskFromCells(range.map(col => [row, col])));
+const VERTICAL_MASKS = range.map(col => maskFromCells(range.map(row => [row, col])));
+const DIAGONAL_MASKS = [
+  maskFromCells(range.map(i => [i, i])),
+  maskFromCells(range.map(i => [i, SIZE - 1 - i]))
+];
+const FOUR_CORNERS_MASKS = [maskFromCells([[0, 0], [0, 4], [4, 0], [4, 4]])];
+const FULL_HOUSE_MASKS = [maskFromCells(range.flatMap(row => range.map(col => [row, col])))];
+
+// Any two different lines (rows, columns or diagonals) completed together
+const LINE_MASKS = [...HORIZONTAL_MASKS, ...VERTICAL_MASKS, ...DIAGONAL_MASKS];
+const TWO_LINES_MASKS = LINE_MASKS.flatMap((first, i) =>
+  LINE_MASKS.slice(i + 1).map(second =>
+    first.map((row, r) => row.map((cell, c) => cell || second[r][c]))
+  )
+);
+
+/**
+ * Built-in patterns, each resolved to the named sub-patterns it accepts.
+ * The sub-pattern name is what gets recorded on the winner.
+ */
+const BUILT_IN_PATTERNS = {
+  'any-line': [
+    { name: 'horizontal', masks: HORIZONTAL_MASKS },
+    { name: 'vertical', masks: VERTICAL_MASKS },
+    { name: 'diagonal', masks: DIAGONAL_MASKS }
+  ],
+  'horizontal': [{ name: 'horizontal', masks: HORIZONTAL_MASKS }],
+  'vertical': [{ name: 'vertical', masks: VERTICAL_MASKS }],
+  'diagonal': [{ name: 'diagonal', masks: DIAGONAL_MASKS }],
+  'two-lines': [{ name: 'two-lines', masks: TWO_LINES_MASKS }],
+  'four-corners': [{ name: 'four-corners', masks: FOUR_CORNERS_MASKS }],
+  'full-house': [{ name: 'full-house', masks: FULL_HOUSE_MASKS }]
+};
+
+const BUILT_IN_PATTERN_NAMES = Object.keys(BUILT_IN_PATTERNS);
+
+/**
+ * Ready-made shapes offered to admins as a starting point in the designer
+ */
+const PATTERN_PRESETS = {
+  'letter-x': [maskFromRows([
+    'X...X',
+    '.X.X.',
+    '..X..',
+    '.X.X.',
+    'X...X'
+  ])],
+  'letter-t': [maskFromRows([
+    'XXXXX',
+    '..X..',
+    '..X..',
+    '..X..',
+    '..X..'
+  ])],
+  'letter-l': [maskFromRows([
+    'X....',
+    'X....',
+    'X....',
+    'X....',
+    'XXXXX'
+  ])],
+  // 2x2 block in any corner
+  'postage-stamp': [
+    maskFromCells([[0, 0], [0, 1], [1, 0], [1, 1]]),
+    maskFromCells([[0, 3], [0, 4], [1, 3], [1, 4]]),
+    maskFromCells([[3, 0], [3, 1], [4, 0], [4, 1]]),
+    maskFromCells([[3, 3], [3, 4], [4, 3], [4, 4]])
+  ],
+  'inner-square': [maskFromRows([
+    '.....',
+    '.XXX.',
+    '.X.X.',
+    '.XXX.',
+    '.....'
+  ])],
+  'outside-frame': [maskFromRows([
+    'XXXXX',
+    'X...X',
+    'X...X',
+    'X...X',
+    'XXXXX'
+  ])]
+};
+
+/**
+ * Checks whether every cell required by the mask is marked on the card
+ */
+function matchesMask(marked, mask) {
+  for (let row = 0; row < SIZE; row++) {
+    for (let col = 0; col < SIZE; col++) {
+      if (mask[row][col] && !marked[col][row]) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Returns the name of the first sub-pattern the card satisfies, or null
+ */
+function findMatchingPattern(marked, patternSet) {
+  const match = patternSet.find(pattern => pattern.masks.some(mask => matchesMask(marked, mask)));
+  return match ? match.name : null;
+}
+
+/**
+ * Validates a list of masks submitted by an admin
+ * Returns an error message, or null if the masks are valid
+ */
+function validateMasks(masks) {
+  if (!Array.isArray(masks) || masks.length === 0 || masks.length > 20) {
+    return 'masks must be a list of 1 to 20 5x5 masks';
+  }
+
+  for (const mask of masks) {
+    const isGrid = Array.isArray(mask) && mask.length === SIZE &&
+      mask.every(row => Array.isArray(row) && row.length === SIZE && row.every(cell => typeof cell === 'boolean'));
+    if (!isGrid) {
+      return 'Each mask must be a 5x5 grid of true/false values';
+    }
+
+    // The FREE centre is always marked, so it can't be the only required cell
+    const requiredCells = mask.flat().filter(Boolean).length - (mask[2][2] ? 1 : 0);
+    if (requiredCells === 0) {
+      return 'Each mask must require at least one cell besides the FREE space';
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  BUILT_IN_PATTERNS,
+  BUILT_IN_PATTERN_NAMES,
+  PATTERN_PRESETS,
+  matchesMask,
+  findMatchingPattern,
+  validateMasks
+};